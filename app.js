@@ -3,21 +3,49 @@
    =========================================================== */
 
 const STORAGE_KEY = 'hb_budget_v1';
+const SCHEMA_VERSION = 6;
 
 // ---------- Utility Functions ----------
-function formatINR(amount) {
-  return new Intl.NumberFormat('en-IN', {
+function getBaseCurrency() {
+  return store.settings.baseCurrency || 'INR';
+}
+
+function formatMoney(amount, currency = getBaseCurrency()) {
+  return new Intl.NumberFormat(store.settings.currencyLocale || 'en-IN', {
     style: 'currency',
-    currency: 'INR',
+    currency,
     minimumFractionDigits: 2
   }).format(amount);
 }
 
+function getCurrencySymbol(currency = getBaseCurrency()) {
+  const part = new Intl.NumberFormat(store.settings.currencyLocale || 'en-IN', { style: 'currency', currency })
+    .formatToParts(0)
+    .find(p => p.type === 'currency');
+  return part ? part.value : currency;
+}
+
+function isValidCurrencyCode(code) {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 function getMonthKey(date) {
   const d = new Date(date);
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
 }
 
+// Text typed by the user or read from an imported file must go through this
+// before it is placed in innerHTML
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
 function uuid() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
     const r = (Math.random() * 16) | 0,
@@ -32,6 +60,21 @@ function formatMonthLabel(monthKey) {
   return date.toLocaleString('en-IN', { month: 'long', year: 'numeric' });
 }
 
+// Dates are stored as local 'YYYY-MM-DD' strings
+function toISODate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseISODate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function getMonthEndDate(monthKey) {
+  const [y, m] = monthKey.split('-').map(Number);
+  return toISODate(new Date(y, m, 0));
+}
+
 // ---------- Data Store ----------
 function getDefaultCategories() {
   return [
@@ -49,38 +92,561 @@ function getDefaultCategories() {
     'Shopping',
     'Household',
     'Gifts / Donations',
-    'Savings',
     'EMI',
-    'Credit Card',
     'Miscellaneous'
   ];
 }
 
-function loadStore() {
-  let data = JSON.parse(localStorage.getItem(STORAGE_KEY));
-  if (!data) {
-    data = {
-      meta: { version: '1', lastUpdated: new Date().toISOString() },
-      settings: {
-        currencyLocale: 'en-IN',
-        expenseCategories: getDefaultCategories()
-      },
-      entries: {},
-      goals: [],
-      loans: [],
-      savings: []
-    };
-    saveStore(data);
+function getDefaultSavingsCategories() {
+  return [
+    'Savings',
+    'Fixed Deposit',
+    'Mutual Funds',
+    'Stocks',
+    'Retirement (PPF / EPF / NPS)'
+  ];
+}
+
+// Category -> tax sections suggested for its entries (see TAX_SECTIONS)
+function getDefaultTaxMappings() {
+  return {
+    'Home Loan': ['80C', '24(b)'],
+    'Insurance': ['80C'],
+    'Health / Medical': ['80D'],
+    'Education': ['80C'],
+    'Retirement (PPF / EPF / NPS)': ['80C']
+  };
+}
+
+function createEmptyStore() {
+  return {
+    meta: { version: String(SCHEMA_VERSION), lastUpdated: new Date().toISOString() },
+    settings: {
+      currencyLocale: 'en-IN',
+      baseCurrency: 'INR',
+      expenseCategories: getDefaultCategories(),
+      savingsCategories: getDefaultSavingsCategories(),
+      taxMappings: getDefaultTaxMappings(),
+      categoryRules: []
+    },
+    entries: {},
+    goals: [],
+    loans: [],
+    savings: [],
+    budgetLimits: { carried: {}, overrides: {} },
+    recurring: [],
+    exchangeRates: [],
+    accounts: [],
+    trash: []
+  };
+}
+
+// ---------- Schema Migrations ----------
+// Each step upgrades a store from version `n` to `n + 1`. Released steps
+// must not change; add a new step and bump SCHEMA_VERSION instead.
+const STORE_MIGRATIONS = {
+  1: upgradeLegacyStore,
+  2: data => {
+    // Stores from before versioning may already have run this fix
+    if (!data.meta.goalAllocationsMigrated) migrateGoalAllocations(data);
+    delete data.meta.goalAllocationsMigrated;
+  },
+  3: data => {
+    if (!data.meta.savingsTypeMigrated) migrateSavingsEntries(data);
+    delete data.meta.savingsTypeMigrated;
+  },
+  4: data => {
+    if (!data.trash) data.trash = [];
+  },
+  5: data => {
+    if (!data.settings.taxMappings) data.settings.taxMappings = getDefaultTaxMappings();
   }
+};
+
+function getStoreVersion(data) {
+  return Number(data.meta?.version) || 1;
+}
+
+// Runs every pending step on `data` in place. Returns whether anything ran;
+// throws for data written by a newer version of the app.
+function migrateStore(data) {
+  if (!data.meta) data.meta = {};
+  const version = getStoreVersion(data);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `This data was saved by a newer version of the app (schema v${version}; this version reads up to v${SCHEMA_VERSION}). Update the app before opening it.`
+    );
+  }
+  // The steps expect every section, and a file of any version can lack one
+  fillMissingSections(data);
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    STORE_MIGRATIONS[v](data);
+    data.meta.version = String(v + 1);
+  }
+  return version < SCHEMA_VERSION;
+}
+
+function fillMissingSections(data) {
+  const defaults = createEmptyStore();
+  data.settings = { ...defaults.settings, ...data.settings };
+  Object.keys(defaults)
+    .filter(key => key !== 'meta' && key !== 'settings')
+    .forEach(key => {
+      if (!data[key]) data[key] = defaults[key];
+    });
+  if (!data.budgetLimits.carried) data.budgetLimits.carried = {};
+  if (!data.budgetLimits.overrides) data.budgetLimits.overrides = {};
+}
+
+// Version 1 grew new fields without a version bump, and older files can be
+// missing whole sections, hold amounts typed as strings or keep an entry in
+// the wrong month after its date was edited.
+function upgradeLegacyStore(data) {
+  fillMissingSections(data);
+
+  const toNumbers = (obj, keys) => keys.forEach(key => {
+    if (typeof obj[key] === 'string') obj[key] = Number(obj[key]) || 0;
+  });
+
+  const buckets = {};
+  Object.entries(data.entries).forEach(([monthKey, list]) => {
+    (Array.isArray(list) ? list : []).forEach(e => {
+      toNumbers(e, ['amount', 'originalAmount']);
+      (e.splits || []).forEach(line => toNumbers(line, ['amount']));
+      (e.goalAllocations || []).forEach(a => toNumbers(a, ['amount']));
+      const key = isNaN(new Date(e.date)) ? monthKey : getMonthKey(e.date);
+      if (!buckets[key]) buckets[key] = [];
+      buckets[key].push(e);
+    });
+  });
+  data.entries = buckets;
+
+  data.goals.forEach(goal => toNumbers(goal, ['targetAmount']));
+  data.recurring.forEach(template => toNumbers(template, ['amount']));
+  data.accounts.forEach(account => toNumbers(account, ['openingBalance', 'creditLimit']));
+  data.exchangeRates.forEach(r => toNumbers(r, ['rate']));
+  data.loans.forEach(loan => {
+    toNumbers(loan, ['principal', 'interestRate', 'tenureMonths', 'emi', 'paidAmount']);
+    (loan.prepayments || []).forEach(p => toNumbers(p, ['amount']));
+    // Loan progress now comes from linked payments; the old hand-typed amount
+    // is kept as principal repaid before tracking started
+    if ('paidAmount' in loan) {
+      loan.principalRepaidBefore = Number(loan.paidAmount) || 0;
+      delete loan.paidAmount;
+    }
+  });
+}
+
+// Savings used to be expenses in the 'Savings' category. Give them their own
+// type; a Savings line inside a split expense becomes a separate entry.
+function migrateSavingsEntries(data) {
+  const now = new Date().toISOString();
+  Object.values(data.entries).forEach(list => {
+    list.slice().forEach(e => {
+      if (e.type !== 'expense') return;
+      if (e.category === 'Savings') {
+        e.type = 'savings';
+        return;
+      }
+      const savingsLines = (e.splits || []).filter(line => line.category === 'Savings');
+      if (savingsLines.length === 0) return;
+
+      const savedOriginal = savingsLines.reduce((sum, line) => sum + Number(line.amount), 0);
+      const rate = e.currency ? Number(e.amount) / Number(e.originalAmount) : 1;
+      const saved = Math.round(savedOriginal * rate * 100) / 100;
+      list.push({
+        ...e,
+        id: uuid(),
+        type: 'savings',
+        category: 'Savings',
+        splits: null,
+        loanId: null,
+        goalAllocations: [],
+        amount: saved,
+        originalAmount: e.currency ? savedOriginal : null,
+        createdAt: now,
+        updatedAt: now
+      });
+
+      e.splits = e.splits.filter(line => line.category !== 'Savings');
+      e.amount = Math.round((Number(e.amount) - saved) * 100) / 100;
+      if (e.currency) e.originalAmount = Number(e.originalAmount) - savedOriginal;
+      if (e.splits.length === 1) {
+        e.category = e.splits[0].category;
+        e.splits = null;
+      }
+    });
+  });
+  data.settings.expenseCategories = data.settings.expenseCategories.filter(c => c !== 'Savings');
+}
+
+// Savings used to be matched to goals by finding the goal title in the
+// description. Link those entries explicitly, picking the longest (most
+// specific) matching title so one payment is never counted twice.
+function migrateGoalAllocations(data) {
+  Object.values(data.entries)
+    .flat()
+    .filter(e => e.category === 'Savings' && !e.goalAllocations)
+    .forEach(e => {
+      const description = (e.description || '').toLowerCase();
+      const goal = data.goals
+        .filter(g => g.title && description.includes(g.title.toLowerCase()))
+        .sort((a, b) => b.title.length - a.title.length)[0];
+      e.goalAllocations = goal ? [{ goalId: goal.id, amount: Number(e.amount) }] : [];
+    });
+}
+
+// ---------- Storage ----------
+// Entries are kept in IndexedDB as one record each, indexed by month,
+// category and date; the rest of the store is a single `state` record. The
+// whole store is still held in memory so reads stay synchronous. Browsers
+// without IndexedDB keep everything under STORAGE_KEY in localStorage.
+const DB_NAME = 'hb_budget';
+const DB_VERSION = 1;
+let db = null;
+// JSON of each entry record and of the rest of the store as last written, so
+// a save skips unchanged records and undo knows what they were before
+const persistedEntries = new Map();
+let persistedState = null;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      const entries = database.createObjectStore('entries', { keyPath: 'id' });
+      entries.createIndex('monthKey', 'monthKey');
+      entries.createIndex('category', 'category');
+      entries.createIndex('date', 'date');
+      database.createObjectStore('state');
+      database.createObjectStore('backups');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function readDatabase() {
+  const tx = db.transaction(['entries', 'state'], 'readonly');
+  const [state, records] = await Promise.all([
+    requestResult(tx.objectStore('state').get('store')),
+    requestResult(tx.objectStore('entries').getAll())
+  ]);
+  if (!state) return null;
+
+  // Records come back in id order; createdAt restores the order they were added in
+  records.sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  const data = { ...state, entries: {} };
+  records.forEach(record => {
+    const { monthKey, ...entry } = record;
+    if (!data.entries[monthKey]) data.entries[monthKey] = [];
+    data.entries[monthKey].push(entry);
+    persistedEntries.set(entry.id, JSON.stringify(record));
+  });
   return data;
 }
 
+// Writes the given entry records and the rest of the store in one transaction.
+// Resolves to whether the write went through.
+function writeDatabase(data, records, removedIds) {
+  const { entries, ...state } = data;
+  const tx = db.transaction(['entries', 'state'], 'readwrite');
+  tx.objectStore('state').put(state, 'store');
+  const entryStore = tx.objectStore('entries');
+  records.forEach(record => entryStore.put(record));
+  removedIds.forEach(id => entryStore.delete(id));
+
+  return new Promise(resolve => {
+    tx.oncomplete = () => resolve(true);
+    tx.onabort = () => {
+      alert(`Your changes could not be saved: ${tx.error?.message || 'unknown error'}`);
+      resolve(false);
+    };
+  });
+}
+
+function getStateJSON(data) {
+  const { entries, meta, ...state } = data;
+  return JSON.stringify(state);
+}
+
 function saveStore(data) {
+  const records = [];
+  const seen = new Set();
+  Object.entries(data.entries).forEach(([monthKey, list]) => {
+    list.forEach(entry => {
+      const record = { ...entry, monthKey };
+      seen.add(entry.id);
+      if (persistedEntries.get(entry.id) !== JSON.stringify(record)) records.push(record);
+    });
+  });
+  const removedIds = [...persistedEntries.keys()].filter(id => !seen.has(id));
+  return persistChanges(data, records, removedIds);
+}
+
+// Entry CRUD knows exactly which records it touched, so it skips comparing
+// every entry the way saveStore does
+function saveEntryChanges(changed, removedIds = []) {
+  const records = changed.map(entry => ({ ...entry, monthKey: getMonthKey(entry.date) }));
+  return persistChanges(store, records, removedIds);
+}
+
+function persistChanges(data, records, removedIds) {
   data.meta.lastUpdated = new Date().toISOString();
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  const changes = [];
+  records.forEach(record => {
+    const json = JSON.stringify(record);
+    changes.push({ id: record.id, before: persistedEntries.get(record.id) || null, after: json });
+    persistedEntries.set(record.id, json);
+  });
+  removedIds.forEach(id => {
+    changes.push({ id, before: persistedEntries.get(id) || null, after: null });
+    persistedEntries.delete(id);
+  });
+  const state = getStateJSON(data);
+  recordHistory(changes, persistedState, state);
+  persistedState = state;
+
+  if (!db) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    return Promise.resolve(true);
+  }
+  return writeDatabase(data, records, removedIds);
+}
+
+function backupStore(json, name) {
+  if (!db) {
+    localStorage.setItem(`${STORAGE_KEY}_backup_${name}`, json);
+    return Promise.resolve();
+  }
+  const tx = db.transaction('backups', 'readwrite');
+  return requestResult(tx.objectStore('backups').put(json, name));
+}
+
+async function initStore() {
+  // Without IndexedDB (e.g. some private windows) the store stays in localStorage
+  db = await openDatabase().catch(() => null);
+
+  let data = db ? await readDatabase() : null;
+  // First run on IndexedDB picks up what localStorage held
+  const legacy = data ? null : localStorage.getItem(STORAGE_KEY);
+  if (legacy) data = JSON.parse(legacy);
+
+  if (!data) {
+    store = createEmptyStore();
+    await saveStore(store);
+  } else {
+    const version = getStoreVersion(data);
+    const original = version < SCHEMA_VERSION ? legacy || JSON.stringify(data) : null;
+    const migrated = migrateStore(data);
+    if (migrated) {
+      // Keep the data as it was before upgrading, in case a step goes wrong
+      await backupStore(original, `v${version}`);
+    }
+    store = data;
+
+    const purged = purgeTrash();
+    if (migrated || purged || (db && legacy)) {
+      const saved = await saveStore(store);
+      // Once it is in IndexedDB the localStorage copy only uses up quota
+      if (saved && db && legacy) localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  // Later saves are compared against what is stored now
+  if (!db) {
+    Object.entries(store.entries).forEach(([monthKey, list]) => {
+      list.forEach(entry => persistedEntries.set(entry.id, JSON.stringify({ ...entry, monthKey })));
+    });
+  }
+  persistedState = getStateJSON(store);
+}
+
+let store = null;
+// Resolves to false when the data could not be loaded
+const storeReady = initStore().then(() => true, err => {
+  showStartupError(err);
+  return false;
+});
+
+// Replaces the whole app, so nothing can run against a store that is not there
+function showStartupError(err) {
+  document.body.innerHTML = `
+    <div class="min-h-screen flex items-center justify-center p-6">
+      <div class="max-w-lg w-full bg-white rounded-xl border border-red-200 p-6 shadow-sm text-center">
+        <h2 class="text-2xl font-bold text-red-600 mb-2">Your budget could not be loaded</h2>
+        <p class="text-gray-700 mb-2">${escapeHTML(err.message)}</p>
+        <p class="text-sm text-gray-500 mb-6">Your saved data has not been changed. Reload to try again.</p>
+        <button type="button" onclick="location.reload()" class="bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Reload</button>
+      </div>
+    </div>
+  `;
+}
+
+// ---------- Undo / Redo ----------
+// Every save records the before and after JSON of what it changed. Saves made
+// while handling one user action are grouped into a single step. The log is
+// kept in sessionStorage so it survives a reload for the rest of the session.
+const HISTORY_KEY = `${STORAGE_KEY}_history`;
+const HISTORY_LIMIT = 50;
+const HISTORY_LABELS = {
+  settings: 'settings',
+  goals: 'goals',
+  loans: 'loans',
+  recurring: 'recurring templates',
+  accounts: 'accounts',
+  budgetLimits: 'budget limits',
+  exchangeRates: 'exchange rates'
+};
+let undoStack = [];
+let redoStack = [];
+let pendingStep = null;
+let historyReady = false;
+let replayingHistory = false;
+
+function loadHistory() {
+  try {
+    ({ undo: undoStack, redo: redoStack } = JSON.parse(sessionStorage.getItem(HISTORY_KEY)) || { undo: [], redo: [] });
+  } catch {
+    undoStack = [];
+    redoStack = [];
+  }
+  historyReady = true;
+}
+
+function saveHistory() {
+  // Drop the oldest steps until the log fits in the session quota
+  while (true) {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ undo: undoStack, redo: redoStack }));
+      return;
+    } catch {
+      if (undoStack.length === 0) {
+        sessionStorage.removeItem(HISTORY_KEY);
+        return;
+      }
+      undoStack.splice(0, Math.ceil(undoStack.length / 2));
+    }
+  }
+}
+
+function recordHistory(changes, stateBefore, stateAfter) {
+  if (!historyReady || replayingHistory) return;
+  if (!pendingStep) {
+    pendingStep = { entries: {}, stateBefore: null, stateAfter: null };
+    queueMicrotask(commitPendingStep);
+  }
+  changes.forEach(({ id, before, after }) => {
+    const earlier = pendingStep.entries[id];
+    pendingStep.entries[id] = { before: earlier ? earlier.before : before, after };
+  });
+  if (stateBefore !== stateAfter) {
+    if (pendingStep.stateBefore === null) pendingStep.stateBefore = stateBefore;
+    pendingStep.stateAfter = stateAfter;
+  }
+}
+
+function commitPendingStep() {
+  const { entries, stateBefore, stateAfter } = pendingStep;
+  pendingStep = null;
+
+  const changes = Object.entries(entries)
+    .filter(([, c]) => c.before !== c.after)
+    .map(([id, c]) => ({ id, ...c }));
+  const stateChanged = stateBefore !== null && stateBefore !== stateAfter;
+  if (changes.length === 0 && !stateChanged) return;
+
+  const step = {
+    label: describeHistoryStep(changes, stateChanged ? JSON.parse(stateBefore) : null, stateChanged ? JSON.parse(stateAfter) : null),
+    entries: changes,
+    stateBefore: stateChanged ? stateBefore : null,
+    stateAfter: stateChanged ? stateAfter : null
+  };
+  undoStack.push(step);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  saveHistory();
+  showToast(step.label, { label: 'Undo', onClick: undo });
+}
+
+function describeHistoryStep(changes, before, after) {
+  const changed = before
+    ? Object.keys(HISTORY_LABELS).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    : [];
+
+  // Adding or deleting one goal, loan, etc. is named even when linked entries changed with it
+  const key = changed.length === 1 && Array.isArray(after[changed[0]]) ? changed[0] : null;
+  if (key) {
+    const added = after[key].filter(r => !before[key].some(b => b.id === r.id));
+    const removed = before[key].filter(r => !after[key].some(a => a.id === r.id));
+    if (added.length + removed.length === 1) {
+      return `${added.length ? 'Added' : 'Deleted'} "${describeRecord(added[0] || removed[0])}"`;
+    }
+  }
+
+  const parts = [];
+  if (changes.length === 1) {
+    const { before: was, after: now } = changes[0];
+    const verb = !was ? 'Added' : !now ? 'Deleted' : 'Updated';
+    parts.push(`${verb} "${describeRecord(JSON.parse(now || was))}"`);
+  } else if (changes.length > 1) {
+    parts.push(`${changes.length} entries changed`);
+  }
+  if (changed.length) parts.push(`${changed.map(k => HISTORY_LABELS[k]).join(', ')} updated`);
+
+  const label = parts.join(', ') || 'Recently deleted updated';
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function applyHistoryStep(step, side) {
+  const ids = new Set(step.entries.map(c => c.id));
+  Object.keys(store.entries).forEach(monthKey => {
+    store.entries[monthKey] = store.entries[monthKey].filter(e => !ids.has(e.id));
+  });
+  step.entries.forEach(change => {
+    if (!change[side]) return;
+    const { monthKey, ...entry } = JSON.parse(change[side]);
+    if (!store.entries[monthKey]) store.entries[monthKey] = [];
+    store.entries[monthKey].push(entry);
+  });
+  const state = side === 'before' ? step.stateBefore : step.stateAfter;
+  if (state) Object.assign(store, JSON.parse(state));
+
+  replayingHistory = true;
+  saveStore(store);
+  replayingHistory = false;
+  hideModal();
+  showPage(activePage);
+}
+
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+  applyHistoryStep(step, 'before');
+  redoStack.push(step);
+  saveHistory();
+  showToast(`Undone: ${step.label}`, { label: 'Redo', onClick: redo });
 }
 
-let store = loadStore();
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+  applyHistoryStep(step, 'after');
+  undoStack.push(step);
+  saveHistory();
+  showToast(`Redone: ${step.label}`, { label: 'Undo', onClick: undo });
+}
 
 // ---------- CRUD for Entries ----------
 function addEntry(entry) {
@@ -90,19 +656,27 @@ function addEntry(entry) {
   entry.createdAt = new Date().toISOString();
   entry.updatedAt = entry.createdAt;
   store.entries[key].push(entry);
-  saveStore(store);
+  saveEntryChanges([entry]);
 }
 
 function updateEntry(entryId, updates) {
   for (const [monthKey, arr] of Object.entries(store.entries)) {
     const idx = arr.findIndex(e => e.id === entryId);
     if (idx !== -1) {
-      store.entries[monthKey][idx] = {
-        ...store.entries[monthKey][idx],
+      const updated = {
+        ...arr[idx],
         ...updates,
         updatedAt: new Date().toISOString()
       };
-      saveStore(store);
+      const newKey = getMonthKey(updated.date);
+      if (newKey === monthKey) {
+        arr[idx] = updated;
+      } else {
+        arr.splice(idx, 1);
+        if (!store.entries[newKey]) store.entries[newKey] = [];
+        store.entries[newKey].push(updated);
+      }
+      saveEntryChanges([updated]);
       return;
     }
   }
@@ -112,23 +686,142 @@ function deleteEntry(entryId) {
   for (const [monthKey, arr] of Object.entries(store.entries)) {
     const idx = arr.findIndex(e => e.id === entryId);
     if (idx !== -1) {
+      moveToTrash('entry', arr[idx]);
       arr.splice(idx, 1);
-      saveStore(store);
+      saveEntryChanges([], [entryId]);
       return;
     }
   }
 }
 
+// ---------- Recently Deleted ----------
+// Deleted entries, goals and loans are kept for TRASH_RETENTION_DAYS. `links`
+// remembers what pointed at a goal or loan so restoring it reconnects them.
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_KINDS = { entry: 'Entry', goal: 'Goal', loan: 'Loan' };
+
+function moveToTrash(kind, item, links = []) {
+  store.trash.push({ id: uuid(), kind, item, links, deletedAt: new Date().toISOString() });
+}
+
+function getTrashExpiry(trashItem) {
+  const expiry = new Date(trashItem.deletedAt);
+  expiry.setDate(expiry.getDate() + TRASH_RETENTION_DAYS);
+  return expiry;
+}
+
+// Returns whether anything expired; the caller saves
+function purgeTrash(now = new Date()) {
+  const kept = store.trash.filter(t => getTrashExpiry(t) > now);
+  const purged = kept.length !== store.trash.length;
+  store.trash = kept;
+  return purged;
+}
+
+// Returns false when a record with the same id is already back (through undo
+// or an import); the live copy is kept and the deleted one is dropped
+function restoreFromTrash(trashId) {
+  const idx = store.trash.findIndex(t => t.id === trashId);
+  if (idx === -1) return false;
+  const { kind, item, links } = store.trash[idx];
+  const entries = Object.values(store.entries).flat();
+  const existing = { entry: entries, loan: store.loans, goal: store.goals }[kind];
+
+  if (existing.some(r => r.id === item.id)) {
+    store.trash.splice(idx, 1);
+    saveStore(store);
+    return false;
+  }
+
+  if (kind === 'entry') {
+    const key = getMonthKey(item.date);
+    if (!store.entries[key]) store.entries[key] = [];
+    store.entries[key].push(item);
+  } else if (kind === 'loan') {
+    store.loans.push(item);
+    entries
+      .filter(e => links.includes(e.id) && !e.loanId)
+      .forEach(e => { e.loanId = item.id; });
+  } else if (kind === 'goal') {
+    store.goals.push(item);
+    links.forEach(({ entryId, amount }) => {
+      const entry = entries.find(e => e.id === entryId);
+      if (entry) entry.goalAllocations = [...(entry.goalAllocations || []), { goalId: item.id, amount }];
+    });
+  }
+  store.trash.splice(idx, 1);
+  saveStore(store);
+  return true;
+}
+
+function deleteFromTrash(trashId) {
+  store.trash = store.trash.filter(t => t.id !== trashId);
+  saveStore(store);
+}
+
+function emptyTrash() {
+  store.trash = [];
+  saveStore(store);
+}
+
+// Savings are money set aside, not spent: they have their own total and
+// come out of what remains alongside expenses
 function getTotalsForMonth(monthKey) {
   const entries = store.entries[monthKey] || [];
-  const income = entries
-    .filter(e => e.type === 'income')
-    .reduce((sum, e) => sum + Number(e.amount), 0);
-  const expense = entries
-    .filter(e => e.type === 'expense')
+  const sumOf = type => entries
+    .filter(e => e.type === type)
     .reduce((sum, e) => sum + Number(e.amount), 0);
-  const remaining = income - expense;
-  return { income, expense, remaining };
+  const income = sumOf('income');
+  const expense = sumOf('expense');
+  const savings = sumOf('savings');
+  const remaining = income - expense - savings;
+  const savingsRate = income > 0 ? (savings / income) * 100 : 0;
+  return { income, expense, savings, remaining, savingsRate };
+}
+
+// Split entries carry `splits: [{ category, amount }]` in the entry's own
+// currency and use SPLIT_CATEGORY as their category; every other entry is a
+// single line. Category totals should always go through the lines.
+const SPLIT_CATEGORY = 'Split';
+
+function isSplitEntry(entry) {
+  return Array.isArray(entry.splits) && entry.splits.length > 0;
+}
+
+function getEntryLines(entry) {
+  if (!isSplitEntry(entry)) return [{ category: entry.category, amount: Number(entry.amount) }];
+  const factor = isForeignEntry(entry) ? Number(entry.amount) / Number(entry.originalAmount) : 1;
+  return entry.splits.map(line => ({ category: line.category, amount: Number(line.amount) * factor }));
+}
+
+function getEntryCategoryAmount(entry, category) {
+  return getEntryLines(entry)
+    .filter(line => line.category === category)
+    .reduce((sum, line) => sum + line.amount, 0);
+}
+
+function describeEntryCategory(entry) {
+  if (entry.type === 'transfer') return `${getAccountName(entry.accountId)} → ${getAccountName(entry.toAccountId)}`;
+  return isSplitEntry(entry) ? entry.splits.map(line => line.category).join(' + ') : entry.category;
+}
+
+function getEntrySign(entry) {
+  return { income: '+', expense: '-', savings: '→', transfer: '⇄' }[entry.type];
+}
+
+function getEntryAmountClass(entry) {
+  return { income: 'text-green-600', expense: 'text-red-600', savings: 'text-blue-600', transfer: 'text-gray-700' }[entry.type];
+}
+
+// Returns an error message, or null when the lines add up to the total
+function validateSplits(splits, total) {
+  if (splits.length < 2) return 'Add at least two lines to split an entry.';
+  if (splits.some(line => !(line.amount > 0))) return 'Each split line needs an amount greater than zero.';
+  const sum = splits.reduce((acc, line) => acc + line.amount, 0);
+  if (Math.abs(sum - total) >= 0.005) {
+    return `Split lines add up to ${sum.toFixed(2)} but the entry total is ${Number(total).toFixed(2)}.`;
+  }
+  return null;
 }
 
 function getRecentTransactions(limit = 10) {
@@ -162,6 +855,12 @@ function getExpensesSeriesForWindow(startMonthKey, monthsCount = 6) {
 }
 
 
+function getCategoriesForType(type) {
+  if (type === 'income') return ['Salary', 'Others'];
+  if (type === 'savings') return store.settings.savingsCategories;
+  return store.settings.expenseCategories;
+}
+
 function addCustomCategory(category) {
   const list = store.settings.expenseCategories;
   if (!list.some(c => c.toLowerCase() === category.toLowerCase())) {
@@ -170,946 +869,5201 @@ function addCustomCategory(category) {
   }
 }
 
-// ---------- Savings ----------
-function addSavings(amount, description, date) {
-  const entry = {
-    id: uuid(),
-    date,
-    amount: Number(amount),
-    type: 'expense',
-    category: 'Savings',
-    description,
-    note: '',
-    monthKey: getMonthKey(date),
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
-  addEntry(entry);
+// ---------- Exchange Rates ----------
+// store.exchangeRates holds manual rates as { id, date, currency, rate } where
+// 1 unit of `currency` is worth `rate` units of the base currency on `date`.
+// Entries keep `amount` in the base currency so every total stays comparable;
+// foreign entries also remember the `currency` and `originalAmount` paid.
+
+function getAvailableCurrencies() {
+  const currencies = new Set(store.exchangeRates.map(r => r.currency));
+  currencies.delete(getBaseCurrency());
+  return [getBaseCurrency(), ...[...currencies].sort()];
 }
 
-// ---------- Loans ----------
-function addLoan(loan) {
-  loan.id = uuid();
-  loan.createdAt = new Date().toISOString();
-  store.loans.push(loan);
-  saveStore(store);
+// Uses the latest rate on or before the date. Returns null when there is
+// none, including for dates before the table starts.
+function getExchangeRate(currency, date) {
+  if (!currency || currency === getBaseCurrency()) return 1;
+  const rates = store.exchangeRates
+    .filter(r => r.currency === currency)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const onOrBefore = rates.filter(r => r.date <= date);
+  return onOrBefore.length ? Number(onOrBefore[onOrBefore.length - 1].rate) : null;
 }
 
-function updateLoan(id, updates) {
-  const idx = store.loans.findIndex(l => l.id === id);
-  if (idx !== -1) {
-    store.loans[idx] = { ...store.loans[idx], ...updates };
-    saveStore(store);
-  }
+function isForeignEntry(entry) {
+  return Boolean(entry.currency) && entry.currency !== getBaseCurrency();
 }
 
-function deleteLoan(id) {
-  const idx = store.loans.findIndex(l => l.id === id);
-  if (idx !== -1) {
-    store.loans.splice(idx, 1);
-    saveStore(store);
+// Returns the amount fields for an entry, or null when no rate is known
+function convertEntryAmount(amount, currency, date) {
+  if (!currency || currency === getBaseCurrency()) {
+    return { amount, currency: null, originalAmount: null };
   }
+  const rate = getExchangeRate(currency, date);
+  if (rate === null) return null;
+  return { amount: Math.round(amount * rate * 100) / 100, currency, originalAmount: amount };
 }
 
-// ---------- Goals ----------
-function addGoal(goal) {
-  goal.id = uuid();
-  goal.createdAt = new Date().toISOString();
-  store.goals.push(goal);
-  saveStore(store);
+function formatEntryAmount(entry) {
+  return isForeignEntry(entry)
+    ? formatMoney(entry.originalAmount, entry.currency)
+    : formatMoney(entry.amount);
 }
 
-function updateGoal(id, updates) {
-  const idx = store.goals.findIndex(g => g.id === id);
-  if (idx !== -1) {
-    store.goals[idx] = { ...store.goals[idx], ...updates };
-    saveStore(store);
+// Amount input with a currency picker once any foreign rates exist
+function renderAmountField(amount, currency) {
+  const selected = currency || getBaseCurrency();
+  const currencies = getAvailableCurrencies();
+  if (!currencies.includes(selected)) currencies.push(selected);
+
+  if (currencies.length === 1) {
+    return `
+    <div class="field">
+      <label class="block text-sm font-medium text-gray-700 mb-2">Amount (${getCurrencySymbol()})</label>
+      <input type="number" name="amount" step="0.01" value="${amount ?? ''}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+    </div>
+  `;
   }
+  return `
+    <div class="field">
+      <label class="block text-sm font-medium text-gray-700 mb-2">Amount</label>
+      <div class="flex gap-2">
+        <input type="number" name="amount" step="0.01" value="${amount ?? ''}" required class="flex-1 min-w-0 px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+        <select name="currency" class="px-3 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          ${currencies.map(c => `<option value="${escapeHTML(c)}" ${c === selected ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+  `;
 }
 
-function deleteGoal(id) {
-  const idx = store.goals.findIndex(g => g.id === id);
-  if (idx !== -1) {
-    store.goals.splice(idx, 1);
-    saveStore(store);
+function setExchangeRate(date, currency, rate) {
+  const existing = store.exchangeRates.find(r => r.date === date && r.currency === currency);
+  if (existing) {
+    existing.rate = rate;
+  } else {
+    store.exchangeRates.push({ id: uuid(), date, currency, rate });
   }
 }
 
-function getGoalProgress(goal) {
-  const totalSavings = Object.values(store.entries)
-    .flat()
-    .filter(
-      e =>
-        e.type === 'expense' &&
-        e.category.toLowerCase() === 'savings' &&
-        e.description.toLowerCase().includes(goal.title.toLowerCase())
-    )
-    .reduce((sum, e) => sum + Number(e.amount), 0);
-  return Math.min((totalSavings / goal.targetAmount) * 100, 100);
+function deleteExchangeRate(id) {
+  store.exchangeRates = store.exchangeRates.filter(r => r.id !== id);
+  revalueForeignEntries();
 }
 
-// ---------- Chart Instances ----------
-let chartInstance;
-let savingsChartInstance = null;
-let currentChartStart = getMonthKey(new Date());
-let homeActiveCategory = 'budget';
+// Recomputes the base amount of every foreign entry after the rate table changes
+function revalueForeignEntries() {
+  let changed = 0;
+  Object.values(store.entries).flat().filter(isForeignEntry).forEach(e => {
+    const converted = convertEntryAmount(Number(e.originalAmount), e.currency, e.date);
+    if (converted && converted.amount !== Number(e.amount)) {
+      e.amount = converted.amount;
+      changed++;
+    }
+  });
+  saveStore(store);
+  return changed;
+}
 
-// ---------- Enhanced Home Page Functions ----------
-function renderHomePage() {
-  renderHomeCategoryButtons();
-  renderHomeCategoryContent();
-  renderRecentTransactions();
+// Accepts rows of date,currency,rate (header row optional)
+function importExchangeRatesCSV(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    const rows = parseCSV(e.target.result);
+    let imported = 0;
+    let skipped = 0;
+
+    rows.forEach((row, i) => {
+      const [dateValue, currencyValue, rateValue] = row;
+      if (i === 0 && isNaN(parseFloat(rateValue))) return; // header
+      const date = parseStatementDate(dateValue, /^\d{4}/.test(dateValue) ? 'ymd' : 'dmy');
+      const currency = String(currencyValue || '').trim().toUpperCase();
+      const rate = parseFloat(rateValue);
+
+      if (!date || !isValidCurrencyCode(currency) || currency === getBaseCurrency() || !(rate > 0)) {
+        skipped++;
+        return;
+      }
+      setExchangeRate(date, currency, rate);
+      imported++;
+    });
+
+    const revalued = revalueForeignEntries();
+    alert(`Imported ${imported} exchange rates${skipped ? `, skipped ${skipped} invalid rows` : ''}.${revalued ? ` ${revalued} entries were revalued.` : ''}`);
+    if (activePage === 'settings') renderSettingsPage();
+  };
+  reader.readAsText(file);
 }
 
-function renderHomeCategoryButtons() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  if (!chartContainer) return;
+// ---------- Transaction Search ----------
+const TRANSACTION_SORT_FIELDS = ['date', 'description', 'category', 'type', 'amount'];
 
-  let buttonsContainer = document.getElementById('homeCategoryButtons');
-  if (!buttonsContainer) {
-    buttonsContainer = document.createElement('div');
-    buttonsContainer.id = 'homeCategoryButtons';
-    buttonsContainer.className = 'flex gap-3 mb-6 justify-center flex-wrap';
-    chartContainer.parentNode.insertBefore(buttonsContainer, chartContainer);
-  }
+function getAllEntryCategories() {
+  const categories = new Set([...store.settings.expenseCategories, ...store.settings.savingsCategories, 'Salary', 'Others']);
+  Object.values(store.entries).flat().flatMap(getEntryLines).forEach(line => categories.add(line.category));
+  return [...categories].sort((a, b) => a.localeCompare(b));
+}
 
-  const categories = [
-    { id: 'budget', label: 'Budget' },
-    { id: 'loans', label: 'Loans' },
-    { id: 'goals', label: 'Goals' },
-    { id: 'savings', label: 'Savings' }
-  ];
+// filters: { query, category, type, minAmount, maxAmount, from, to, sortBy, sortDir }
+// Empty strings / null mean "no constraint". Dates are 'YYYY-MM-DD' and inclusive.
+function searchEntries(filters = {}) {
+  const query = (filters.query || '').trim().toLowerCase();
+  const min = filters.minAmount === '' || filters.minAmount == null ? null : Number(filters.minAmount);
+  const max = filters.maxAmount === '' || filters.maxAmount == null ? null : Number(filters.maxAmount);
+  const sortBy = TRANSACTION_SORT_FIELDS.includes(filters.sortBy) ? filters.sortBy : 'date';
+  const direction = filters.sortDir === 'asc' ? 1 : -1;
+
+  const results = Object.values(store.entries).flat().filter(e => {
+    if (query) {
+      const haystack = `${e.description || ''} ${e.note || ''}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    if (filters.category && !getEntryLines(e).some(line => line.category === filters.category)) return false;
+    if (filters.type && e.type !== filters.type) return false;
+    if (min !== null && Number(e.amount) < min) return false;
+    if (max !== null && Number(e.amount) > max) return false;
+    if (filters.from && e.date < filters.from) return false;
+    if (filters.to && e.date > filters.to) return false;
+    return true;
+  });
 
-  buttonsContainer.innerHTML = categories.map(cat => `
-    <button 
-      onclick="switchHomeCategory('${cat.id}')" 
-      class="px-6 py-3 rounded-lg font-medium transition-all border-2 ${
-        homeActiveCategory === cat.id 
-          ? 'bg-primary-600 text-white border-primary-600 shadow-lg' 
-          : 'bg-white text-gray-700 border-gray-300 hover:border-primary-500 hover:bg-gray-50'
-      }"
-    >
-      ${cat.label}
-    </button>
-  `).join('');
+  return results.sort((a, b) => {
+    let cmp;
+    if (sortBy === 'amount') {
+      cmp = Number(a.amount) - Number(b.amount);
+    } else if (sortBy === 'date') {
+      cmp = a.date.localeCompare(b.date);
+    } else {
+      cmp = String(a[sortBy] || a.category).localeCompare(String(b[sortBy] || b.category));
+    }
+    // Fall back to date, then creation time, so equal keys keep a stable order
+    if (cmp === 0) cmp = a.date.localeCompare(b.date) || String(a.createdAt).localeCompare(String(b.createdAt));
+    return cmp * direction;
+  });
 }
 
-function switchHomeCategory(category) {
-  homeActiveCategory = category;
-  renderHomeCategoryButtons();
-  renderHomeCategoryContent();
+// With a category filter only the matching split lines count
+function getSearchAmount(entry, category) {
+  return category ? getEntryCategoryAmount(entry, category) : Number(entry.amount);
 }
 
-function renderHomeCategoryContent() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  if (!chartContainer) return;
+function getSearchTotals(entries, category = '') {
+  const sumOf = type => entries
+    .filter(e => e.type === type)
+    .reduce((sum, e) => sum + getSearchAmount(e, category), 0);
+  const income = sumOf('income');
+  const expense = sumOf('expense');
+  const savings = sumOf('savings');
+  return { count: entries.length, income, expense, savings, net: income - expense - savings };
+}
 
-  const buttonsContainer = document.getElementById('homeCategoryButtons');
-  chartContainer.innerHTML = '';
-  
-  document.querySelectorAll('#expensesChartContainer canvas').forEach(canvas => canvas.remove());
+// ---------- Spending Reports ----------
+const REPORT_PERIODS = { month: 'Month', quarter: 'Quarter', year: 'Year', custom: 'Custom Range' };
+const REPORT_PERIOD_MONTHS = { month: 1, quarter: 3, year: 12 };
 
-  switch (homeActiveCategory) {
-    case 'budget':
-      renderBudgetHomeContent();
-      break;
-    case 'loans':
-      renderLoansHomeContent();
-      break;
-    case 'goals':
-      renderGoalsHomeContent();
-      break;
-    case 'savings':
-      renderSavingsHomeContent();
-      break;
+// Calendar month, quarter or year containing `anchor`, or the custom from/to
+function getReportRange(period, anchor, from = '', to = '') {
+  if (period === 'custom') {
+    if (!from || !to || from > to) return null;
+    const label = [from, to].map(d => parseISODate(d).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })).join(' – ');
+    return { from, to, label };
+  }
+
+  const d = parseISODate(anchor);
+  const startMonth = period === 'year' ? 0 : d.getMonth() - (d.getMonth() % REPORT_PERIOD_MONTHS[period]);
+  const start = new Date(d.getFullYear(), startMonth, 1);
+  const end = new Date(d.getFullYear(), startMonth + REPORT_PERIOD_MONTHS[period], 0);
+  let label;
+  if (period === 'month') {
+    label = start.toLocaleString('en-IN', { month: 'long', year: 'numeric' });
+  } else if (period === 'quarter') {
+    label = `Q${startMonth / 3 + 1} ${start.getFullYear()}`;
+  } else {
+    label = String(start.getFullYear());
   }
+  return { from: toISODate(start), to: toISODate(end), label };
 }
 
-function renderBudgetHomeContent() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  if (!chartContainer) return;
-  
-  // Clear and create new structure with fixed height
-  chartContainer.innerHTML = `
-  <div class="h-96 relative">
-      <div id="svgChartContainer"></div>
-  </div>
-`;
-  
-  const currentMonth = getMonthKey(new Date());
-  
-  // Render chart after DOM update
-  setTimeout(() => {
-  const dataSeries = getExpenseSavingsSeries(currentMonth, 6);
-  renderExpensesSVGChart(dataSeries);
-}, 50);
+function shiftReportAnchor(period, anchor, step) {
+  const d = parseISODate(anchor);
+  return toISODate(new Date(d.getFullYear(), d.getMonth() + step * REPORT_PERIOD_MONTHS[period], 1));
 }
 
-function renderLoansHomeContent() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  const loans = store.loans;
+// The period just before `range`; a custom range compares with the same number of days before it
+function getPreviousReportRange(period, range) {
+  if (period !== 'custom') return getReportRange(period, shiftReportAnchor(period, range.from, -1));
+  const from = parseISODate(range.from);
+  const days = Math.round((parseISODate(range.to) - from) / 86400000);
+  const prevTo = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+  const prevFrom = new Date(prevTo.getFullYear(), prevTo.getMonth(), prevTo.getDate() - days);
+  return getReportRange('custom', null, toISODate(prevFrom), toISODate(prevTo));
+}
 
-  if (loans.length === 0) {
-    chartContainer.innerHTML = `
-      <div class="text-center p-8 text-gray-500">
-        <p>No loans tracked yet.</p>
-        <p class="text-sm mt-2">Add loans in the Loans section to see progress here.</p>
-      </div>
-    `;
-    return;
-  }
+function getSpendingByCategory(from, to) {
+  const spending = {};
+  searchEntries({ type: 'expense', from, to })
+    .flatMap(getEntryLines)
+    .forEach(line => {
+      spending[line.category] = (spending[line.category] || 0) + line.amount;
+    });
+  return spending;
+}
 
-  chartContainer.innerHTML = `
-    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
-      ${loans.map(loan => {
-        const paid = loan.paidAmount || 0;
-        const remaining = loan.principal - paid;
-        const progress = (paid / loan.principal) * 100;
-        
-        return `
-          <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
-            <div class="flex justify-between items-start mb-4">
-              <div>
-                <h3 class="font-semibold text-lg text-gray-900">${loan.name}</h3>
-                <p class="text-sm text-gray-500">${loan.lender || 'No lender specified'}</p>
-              </div>
-            </div>
-            
-            <div class="grid grid-cols-2 gap-4 mb-4">
-              <div>
-                <div class="text-xs text-gray-500">Principal</div>
-                <div class="font-semibold text-gray-900">${formatINR(loan.principal)}</div>
-              </div>
-              <div>
-                <div class="text-xs text-gray-500">Paid</div>
-                <div class="font-semibold text-green-600">${formatINR(paid)}</div>
-              </div>
-              <div>
-                <div class="text-xs text-gray-500">Remaining</div>
-                <div class="font-semibold text-red-600">${formatINR(remaining)}</div>
-              </div>
-              <div>
-                <div class="text-xs text-gray-500">Progress</div>
-                <div class="font-semibold text-primary-600">${progress.toFixed(1)}%</div>
-              </div>
-            </div>
-            
-            <div class="flex justify-center">
-              <div class="relative w-32 h-32">
-                <svg class="w-full h-full" viewBox="0 0 36 36">
-                  <path
-                    d="M18 2.0845
-                      a 15.9155 15.9155 0 0 1 0 31.831
-                      a 15.9155 15.9155 0 0 1 0 -31.831"
-                    fill="none"
-                    stroke="#eee"
-                    stroke-width="3"
-                  />
-                  <path
-                    d="M18 2.0845
-                      a 15.9155 15.9155 0 0 1 0 31.831
-                      a 15.9155 15.9155 0 0 1 0 -31.831"
-                    fill="none"
-                    stroke="#4f46e5"
-                    stroke-width="3"
-                    stroke-dasharray="${progress}, 100"
-                    transform="rotate(-90 18 18)"
-                  />
-                  <text x="18" y="20.5" text-anchor="middle" font-size="8" fill="#4f46e5" font-weight="bold">
-                    ${progress.toFixed(0)}%
-                  </text>
-                </svg>
-              </div>
-            </div>
-          </div>
-        `;
-      }).join('')}
-    </div>
-  `;
+// One row per category spent on in either period, largest first. percentChange
+// is null when nothing was spent on the category in the previous period.
+function getSpendingReport(range, previousRange) {
+  const current = getSpendingByCategory(range.from, range.to);
+  const previous = getSpendingByCategory(previousRange.from, previousRange.to);
+  const total = Object.values(current).reduce((sum, v) => sum + v, 0);
+  const previousTotal = Object.values(previous).reduce((sum, v) => sum + v, 0);
+
+  const rows = [...new Set([...Object.keys(current), ...Object.keys(previous)])]
+    .map(category => {
+      const amount = current[category] || 0;
+      const before = previous[category] || 0;
+      return {
+        category,
+        amount,
+        previous: before,
+        change: amount - before,
+        percentChange: before ? ((amount - before) / before) * 100 : null,
+        share: total ? (amount / total) * 100 : 0
+      };
+    })
+    .sort((a, b) => b.amount - a.amount || b.previous - a.previous);
+
+  return { rows, total, previousTotal };
 }
 
-function renderSavingsHomeContent() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  if (!chartContainer) return;
-  
-  // Clear existing content
-  chartContainer.innerHTML = '';
-  
-  const currentMonth = getMonthKey(new Date());
-  const currentMonthSavings = getSavingsForMonth(currentMonth);
-  const totalSavings = getTotalSavings();
-  const savingsByMonth = getSavingsByMonth(12);
+// ---------- Annual Report ----------
+// Indian financial years run April to March and are named by both years
+const FY_START_MONTH = 3;
+const ANNUAL_TOP_COUNT = 8;
 
-  // Create the savings content with fixed height container
-  chartContainer.innerHTML = `
-    <div class="mb-6">
-      <div class="grid grid-cols-2 gap-4">
-        <div class="bg-gradient-to-br from-green-50 to-emerald-50 p-6 rounded-xl border border-green-200">
-          <div class="text-sm text-gray-600 font-medium">This Month's Savings</div>
-          <div class="text-2xl font-bold text-green-700 mt-1">${formatINR(currentMonthSavings)}</div>
-        </div>
-        <div class="bg-gradient-to-br from-blue-50 to-cyan-50 p-6 rounded-xl border border-blue-200">
-          <div class="text-sm text-gray-600 font-medium">Total Savings</div>
-          <div class="text-2xl font-bold text-blue-700 mt-1">${formatINR(totalSavings)}</div>
-        </div>
-      </div>
-    </div>
-    
-    <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
-      <h3 class="text-lg font-semibold mb-4">Savings Over Time</h3>
-      <div class="h-80"> <!-- Fixed height container -->
-        <canvas id="savingsChart"></canvas>
-      </div>
-    </div>
-  `;
-  
-  // Render the chart after a small delay to ensure DOM is ready
-  setTimeout(() => {
-    renderSavingsChart(savingsByMonth);
-  }, 50);
+function getFinancialYearStart(date) {
+  const d = new Date(date);
+  return d.getMonth() >= FY_START_MONTH ? d.getFullYear() : d.getFullYear() - 1;
 }
 
-function renderGoalsHomeContent() {
-  const chartContainer = document.getElementById('expensesChartContainer');
-  const goals = store.goals;
+// `kind` is 'fy' or 'calendar'; `startYear` is the year the period begins in
+function getAnnualRange(kind, startYear) {
+  const startMonth = kind === 'fy' ? FY_START_MONTH : 0;
+  return {
+    from: toISODate(new Date(startYear, startMonth, 1)),
+    to: toISODate(new Date(startYear, startMonth + 12, 0)),
+    monthKeys: Array.from({ length: 12 }, (_, i) => getMonthKey(new Date(startYear, startMonth + i, 1))),
+    label: kind === 'fy' ? `FY ${startYear}–${String(startYear + 1).slice(2)}` : String(startYear)
+  };
+}
 
-  if (goals.length === 0) {
-    chartContainer.innerHTML = `
-      <div class="text-center p-8 text-gray-500">
-        <p>No goals set yet.</p>
-        <p class="text-sm mt-2">Add goals in the Goals section to track progress here.</p>
-      </div>
-    `;
-    return;
+// Start years that have entries, newest first, always including the current one
+function getAnnualYears(kind) {
+  const startOf = date => (kind === 'fy' ? getFinancialYearStart(date) : new Date(date).getFullYear());
+  const years = new Set([startOf(new Date())]);
+  Object.values(store.entries).flat().forEach(e => years.add(startOf(parseISODate(e.date))));
+  return [...years].sort((a, b) => b - a);
+}
+
+function getAnnualReport(kind, startYear) {
+  const range = getAnnualRange(kind, startYear);
+  const inRange = date => date >= range.from && date <= range.to;
+  const months = range.monthKeys.map(monthKey => ({ monthKey, ...getTotalsForMonth(monthKey) }));
+
+  const totals = {};
+  ['income', 'expense', 'savings', 'remaining'].forEach(key => {
+    totals[key] = months.reduce((sum, m) => sum + m[key], 0);
+  });
+  totals.savingsRate = totals.income ? (totals.savings / totals.income) * 100 : 0;
+
+  const topCategories = Object.entries(getSpendingByCategory(range.from, range.to))
+    .map(([category, amount]) => ({ category, amount, share: totals.expense ? (amount / totals.expense) * 100 : 0 }))
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, ANNUAL_TOP_COUNT);
+
+  const largest = searchEntries({ type: 'expense', from: range.from, to: range.to, sortBy: 'amount', sortDir: 'desc' })
+    .slice(0, ANNUAL_TOP_COUNT);
+
+  const loans = store.loans
+    .map(loan => {
+      const payments = getLoanRepaymentStatus(loan).payments.filter(p => inRange(p.entry.date));
+      return {
+        loan,
+        paid: payments.reduce((sum, p) => sum + p.amount, 0),
+        principal: payments.reduce((sum, p) => sum + p.principal, 0),
+        interest: payments.reduce((sum, p) => sum + p.interest, 0)
+      };
+    })
+    .filter(l => l.paid > 0);
+
+  const goals = store.goals.map(goal => {
+    const contributions = getGoalContributions(goal.id);
+    const added = contributions.filter(c => inRange(c.entry.date)).reduce((sum, c) => sum + c.amount, 0);
+    const saved = contributions.filter(c => c.entry.date <= range.to).reduce((sum, c) => sum + c.amount, 0);
+    return { goal, added, saved, progress: goal.targetAmount ? Math.min((saved / goal.targetAmount) * 100, 100) : 0 };
+  });
+
+  return { kind, range, months, totals, topCategories, largest, loans, goals };
+}
+
+// ---------- Tax Deductions ----------
+// Yearly caps under the old tax regime. The 80D cap is the one for self and
+// family under 60; senior citizens can claim more.
+const TAX_SECTIONS = {
+  '80C': { label: 'Section 80C', description: 'PPF, ELSS, life insurance, tuition fees and home loan principal', limit: 150000 },
+  '80CCD(1B)': { label: 'Section 80CCD(1B)', description: 'NPS contributions over the 80C limit', limit: 50000 },
+  '80D': { label: 'Section 80D', description: 'Health insurance premiums and preventive check-ups', limit: 25000 },
+  '24(b)': { label: 'Section 24(b)', description: 'Interest on a self-occupied home loan', limit: 200000 }
+};
+const HOME_LOAN_SECTIONS = ['80C', '24(b)'];
+
+// Entries saved before tagging existed have no `taxSections` at all; an
+// empty list means the user reviewed the entry and cleared every section.
+function suggestTaxSections(entry) {
+  const loan = entry.loanId && store.loans.find(l => l.id === entry.loanId);
+  if (loan?.isHomeLoan) return HOME_LOAN_SECTIONS;
+  const mappings = store.settings.taxMappings || {};
+  const sections = getEntryLines(entry).flatMap(line => mappings[line.category] || []);
+  return Object.keys(TAX_SECTIONS).filter(code => sections.includes(code));
+}
+
+// Payments towards home loans, keyed by entry id, with the principal and
+// interest worked out by getLoanRepaymentStatus
+function getHomeLoanPaymentSplits() {
+  const splits = new Map();
+  store.loans
+    .filter(loan => loan.isHomeLoan)
+    .forEach(loan => getLoanRepaymentStatus(loan).payments.forEach(p => splits.set(p.entry.id, p)));
+  return splits;
+}
+
+// How much of an entry counts under each of its sections. A home loan EMI
+// counts its principal under 80C and its interest under 24(b); a split entry
+// counts only the lines whose category maps to the section, if any do.
+function getEntryTaxAmounts(entry, loanPayments = getHomeLoanPaymentSplits()) {
+  const mappings = store.settings.taxMappings || {};
+  const payment = loanPayments.get(entry.id);
+  const lines = getEntryLines(entry);
+  const amounts = {};
+
+  (entry.taxSections || []).forEach(code => {
+    if (payment && code === '80C') {
+      amounts[code] = payment.principal;
+    } else if (payment && code === '24(b)') {
+      amounts[code] = payment.interest;
+    } else {
+      const mapped = lines.filter(line => (mappings[line.category] || []).includes(code));
+      amounts[code] = (mapped.length ? mapped : lines).reduce((sum, line) => sum + line.amount, 0);
+    }
+  });
+  return amounts;
+}
+
+function getTaxSummary(startYear) {
+  const range = getAnnualRange('fy', startYear);
+  const loanPayments = getHomeLoanPaymentSplits();
+  const entries = searchEntries({ from: range.from, to: range.to, sortDir: 'asc' }).filter(e => e.type !== 'transfer');
+  const sections = Object.entries(TAX_SECTIONS).map(([code, section]) => ({ code, ...section, total: 0, entries: [] }));
+
+  entries.forEach(entry => {
+    Object.entries(getEntryTaxAmounts(entry, loanPayments)).forEach(([code, amount]) => {
+      const section = sections.find(s => s.code === code);
+      if (!section || amount <= 0) return;
+      section.total += amount;
+      section.entries.push({ entry, amount });
+    });
+  });
+  sections.forEach(section => {
+    section.claimable = Math.min(section.total, section.limit);
+    section.headroom = Math.max(section.limit - section.total, 0);
+  });
+
+  return {
+    range,
+    sections,
+    untagged: entries.filter(e => e.taxSections === undefined && suggestTaxSections(e).length > 0),
+    // Without a home loan to split them, these count in full under both sections
+    unsplit: entries.filter(e => !loanPayments.has(e.id) && HOME_LOAN_SECTIONS.every(code => (e.taxSections || []).includes(code)))
+  };
+}
+
+function applySuggestedTaxSections(entries) {
+  const now = new Date().toISOString();
+  entries.forEach(entry => {
+    entry.taxSections = suggestTaxSections(entry);
+    entry.updatedAt = now;
+  });
+  saveEntryChanges(entries);
+}
+
+function setTaxMappings(mappings) {
+  store.settings.taxMappings = mappings;
+  saveStore(store);
+}
+
+// ---------- Categorisation Rules ----------
+// Rules are kept in priority order: the first matching rule wins.
+function addCategoryRule(rule) {
+  rule.id = uuid();
+  rule.createdAt = new Date().toISOString();
+  rule.updatedAt = rule.createdAt;
+  store.settings.categoryRules.push(rule);
+  saveStore(store);
+}
+
+function updateCategoryRule(id, updates) {
+  const rules = store.settings.categoryRules;
+  const idx = rules.findIndex(r => r.id === id);
+  if (idx !== -1) {
+    rules[idx] = { ...rules[idx], ...updates, updatedAt: new Date().toISOString() };
+    saveStore(store);
   }
+}
 
-  chartContainer.innerHTML = `
-    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
-      ${goals.map(goal => {
-        const progress = getGoalProgress(goal);
-        const targetDate = new Date(goal.targetDate);
-        const isOverdue = targetDate < new Date();
-        
-        return `
-          <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
-            <div class="flex justify-between items-start mb-4">
-              <div>
-                <h3 class="font-semibold text-lg text-gray-900">${goal.title}</h3>
-                <p class="text-sm text-gray-500">${goal.description || 'No description'}</p>
-              </div>
-            </div>
-            
-            <div class="grid grid-cols-2 gap-4 mb-4">
-              <div>
-                <div class="text-xs text-gray-500">Target Amount</div>
-                <div class="font-semibold text-gray-900">${formatINR(goal.targetAmount)}</div>
+function deleteCategoryRule(id) {
+  const rules = store.settings.categoryRules;
+  const idx = rules.findIndex(r => r.id === id);
+  if (idx !== -1) {
+    rules.splice(idx, 1);
+    saveStore(store);
+  }
+}
+
+function moveCategoryRule(id, offset) {
+  const rules = store.settings.categoryRules;
+  const idx = rules.findIndex(r => r.id === id);
+  const target = idx + offset;
+  if (idx === -1 || target < 0 || target >= rules.length) return;
+  [rules[idx], rules[target]] = [rules[target], rules[idx]];
+  saveStore(store);
+}
+
+// A rule for 'any' type only applies where its category exists, so an
+// expense category is never given to income
+function ruleMatches(rule, entry) {
+  if (rule.type !== 'any' && rule.type !== entry.type) return false;
+  if (!getCategoriesForType(entry.type).includes(rule.category)) return false;
+  if (rule.descriptionContains &&
+      !(entry.description || '').toLowerCase().includes(rule.descriptionContains.toLowerCase())) {
+    return false;
+  }
+  if (rule.amountEquals != null && Math.abs(Number(entry.amount) - rule.amountEquals) >= 0.005) {
+    return false;
+  }
+  return true;
+}
+
+function suggestCategory(entry) {
+  return store.settings.categoryRules.find(rule => ruleMatches(rule, entry)) || null;
+}
+
+function describeCategoryRule(rule) {
+  const conditions = [];
+  if (rule.type !== 'any') conditions.push(`type is ${rule.type}`);
+  if (rule.descriptionContains) conditions.push(`description contains "${rule.descriptionContains}"`);
+  if (rule.amountEquals != null) conditions.push(`amount = ${formatMoney(rule.amountEquals)}`);
+  return conditions.join(' and ');
+}
+
+// Returns the entries whose category would change if the rules were re-run
+function getRuleRecategorisations() {
+  return Object.values(store.entries)
+    .flat()
+    .filter(entry => (entry.type === 'income' || entry.type === 'expense') && !isSplitEntry(entry))
+    .map(entry => ({ entry, rule: suggestCategory(entry) }))
+    .filter(({ entry, rule }) => rule && rule.category !== entry.category);
+}
+
+// ---------- Category Budget Limits ----------
+// Limits in `carried` apply from their month onward until a later month
+// changes them; limits in `overrides` apply to that single month only.
+// A null value means "no limit".
+function getCategoryLimit(category, monthKey) {
+  const { carried, overrides } = store.budgetLimits;
+  const monthOverrides = overrides[monthKey];
+  if (monthOverrides && category in monthOverrides) return monthOverrides[category];
+
+  const carriedKey = Object.keys(carried)
+    .filter(k => k <= monthKey && category in carried[k])
+    .sort()
+    .pop();
+  return carriedKey ? carried[carriedKey][category] : null;
+}
+
+function getCategoryLimitsForMonth(monthKey) {
+  const limits = {};
+  store.settings.expenseCategories.forEach(category => {
+    const limit = getCategoryLimit(category, monthKey);
+    if (limit !== null) limits[category] = limit;
+  });
+  return limits;
+}
+
+function setCategoryLimit(category, amount, monthKey, onlyThisMonth = false) {
+  const bucket = onlyThisMonth ? store.budgetLimits.overrides : store.budgetLimits.carried;
+  if (!bucket[monthKey]) bucket[monthKey] = {};
+  bucket[monthKey][category] = amount > 0 ? Number(amount) : null;
+
+  // A carried change supersedes any one-off override for the same month
+  if (!onlyThisMonth && store.budgetLimits.overrides[monthKey]) {
+    delete store.budgetLimits.overrides[monthKey][category];
+  }
+  saveStore(store);
+}
+
+function getCategorySpendingForMonth(monthKey) {
+  const spending = {};
+  (store.entries[monthKey] || [])
+    .filter(e => e.type === 'expense')
+    .flatMap(getEntryLines)
+    .forEach(line => {
+      spending[line.category] = (spending[line.category] || 0) + line.amount;
+    });
+  return spending;
+}
+
+function getCategoryBudgetStatus(monthKey) {
+  const limits = getCategoryLimitsForMonth(monthKey);
+  const spending = getCategorySpendingForMonth(monthKey);
+
+  return Object.entries(limits).map(([category, limit]) => {
+    const spent = spending[category] || 0;
+    return {
+      category,
+      limit,
+      spent,
+      remaining: limit - spent,
+      percent: (spent / limit) * 100,
+      isOver: spent > limit
+    };
+  });
+}
+
+// ---------- Recurring Templates ----------
+function addRecurring(template) {
+  template.id = uuid();
+  template.createdAt = new Date().toISOString();
+  template.updatedAt = template.createdAt;
+  template.generatedThrough = null;
+  store.recurring.push(template);
+  saveStore(store);
+}
+
+const RECURRING_SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate'];
+
+function updateRecurring(id, updates, applyToFuture = false) {
+  const idx = store.recurring.findIndex(r => r.id === id);
+  if (idx === -1) return;
+
+  const previous = store.recurring[idx];
+  store.recurring[idx] = {
+    ...previous,
+    ...updates,
+    updatedAt: new Date().toISOString()
+  };
+
+  // A new schedule replaces the upcoming entries nobody has edited, then
+  // generation runs again from the new start date. Dates that already have
+  // an entry are skipped, so only missed occurrences are back-filled.
+  const scheduleChanged = RECURRING_SCHEDULE_FIELDS.some(field => (previous[field] || null) !== (store.recurring[idx][field] || null));
+  if (scheduleChanged) {
+    const today = toISODate(new Date());
+    Object.keys(store.entries).forEach(monthKey => {
+      store.entries[monthKey] = store.entries[monthKey]
+        .filter(e => !(e.recurringId === id && e.date >= today && e.updatedAt === e.createdAt));
+    });
+    store.recurring[idx].generatedThrough = null;
+    generateRecurringEntries();
+  }
+
+  if (applyToFuture) {
+    const today = toISODate(new Date());
+    const { type, category, description, amount, currency, note, loanId, accountId } = store.recurring[idx];
+    getRecurringInstances(id)
+      .filter(e => e.date >= today)
+      .forEach(e => updateEntry(e.id, {
+        type, category, description, note, loanId, accountId,
+        ...convertEntryAmount(Number(amount), currency, e.date)
+      }));
+  }
+  saveStore(store);
+}
+
+function deleteRecurring(id, deleteFuture = false) {
+  const idx = store.recurring.findIndex(r => r.id === id);
+  if (idx === -1) return;
+
+  if (deleteFuture) {
+    const today = toISODate(new Date());
+    getRecurringInstances(id)
+      .filter(e => e.date >= today)
+      .forEach(e => deleteEntry(e.id));
+  }
+  store.recurring.splice(idx, 1);
+  saveStore(store);
+}
+
+function getRecurringInstances(id) {
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => e.recurringId === id);
+}
+
+function addIntervalToDate(date, frequency, count) {
+  if (frequency === 'weekly') {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7 * count);
+  }
+  // Monthly and yearly occurrences keep the start day, clamped to short months
+  const months = frequency === 'yearly' ? 12 * count : count;
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), daysInMonth));
+  return target;
+}
+
+function getRecurringOccurrences(template, untilDate) {
+  const start = parseISODate(template.startDate);
+  const lastDate = template.endDate && template.endDate < untilDate ? template.endDate : untilDate;
+  const interval = Math.max(1, Number(template.interval) || 1);
+  const dates = [];
+
+  for (let i = 0; ; i += interval) {
+    const date = toISODate(addIntervalToDate(start, template.frequency, i));
+    if (date > lastDate) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+function getNextOccurrence(template) {
+  const today = toISODate(new Date());
+  const interval = Math.max(1, Number(template.interval) || 1);
+  const start = parseISODate(template.startDate);
+
+  for (let i = 0; ; i += interval) {
+    const date = toISODate(addIntervalToDate(start, template.frequency, i));
+    if (template.endDate && date > template.endDate) return null;
+    if (date >= today) return date;
+  }
+}
+
+// Creates any occurrences up to `untilDate` that have not been generated yet.
+// Occurrences already present (matched on template id and date) are skipped,
+// so running this repeatedly back-fills missed months without duplicates.
+function generateRecurringEntries(untilDate = toISODate(new Date())) {
+  let created = 0;
+
+  store.recurring.forEach(template => {
+    if (template.generatedThrough && template.generatedThrough >= untilDate) return;
+
+    const existingDates = new Set(getRecurringInstances(template.id).map(e => e.date));
+    const dates = getRecurringOccurrences(template, untilDate)
+      .filter(date => !template.generatedThrough || date > template.generatedThrough)
+      .filter(date => !existingDates.has(date));
+
+    // Wait for a rate rather than booking a foreign amount as base currency
+    if (dates.some(date => getExchangeRate(template.currency, date) === null)) return;
+
+    dates.forEach(date => {
+      const entry = {
+        type: template.type,
+        category: template.category,
+        description: template.description,
+        ...convertEntryAmount(Number(template.amount), template.currency, date),
+        date,
+        note: template.note || '',
+        loanId: template.loanId || null,
+        accountId: template.accountId || null,
+        recurringId: template.id
+      };
+      entry.taxSections = suggestTaxSections(entry);
+      addEntry(entry);
+      created++;
+    });
+
+    template.generatedThrough = untilDate;
+  });
+
+  saveStore(store);
+  return created;
+}
+
+// Occurrences after today that are not booked yet, for showing in a month
+// without counting them. They are shaped like entries but have no id.
+function getProjectedRecurringEntries(monthKey) {
+  const today = toISODate(new Date());
+  const monthStart = `${monthKey}-01`;
+  const monthEnd = getMonthEndDate(monthKey);
+  if (monthEnd <= today) return [];
+
+  return store.recurring.flatMap(template => {
+    const booked = new Set(getRecurringInstances(template.id).map(e => e.date));
+    return getRecurringOccurrences(template, monthEnd)
+      .filter(date => date > today && date >= monthStart && !booked.has(date))
+      .map(date => {
+        const converted = convertEntryAmount(Number(template.amount), template.currency, today);
+        return {
+          type: template.type,
+          category: template.category,
+          description: template.description,
+          ...(converted || { amount: Number(template.amount), currency: template.currency, originalAmount: Number(template.amount) }),
+          date,
+          note: template.note || '',
+          loanId: template.loanId || null,
+          recurringId: template.id,
+          projected: true
+        };
+      });
+  }).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function describeRecurrence(template) {
+  const interval = Math.max(1, Number(template.interval) || 1);
+  const units = { weekly: 'week', monthly: 'month', yearly: 'year' };
+  const unit = units[template.frequency];
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  return template.endDate
+    ? `${every} until ${parseISODate(template.endDate).toLocaleDateString('en-IN')}`
+    : every;
+}
+
+// ---------- Savings ----------
+function addSavings(amount, description, date, goalAllocations = [], taxSections = []) {
+  const entry = {
+    id: uuid(),
+    date,
+    amount: Number(amount),
+    type: 'savings',
+    category: 'Savings',
+    description,
+    note: '',
+    goalAllocations,
+    taxSections,
+    monthKey: getMonthKey(date),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  addEntry(entry);
+}
+
+// ---------- Accounts ----------
+// Accounts are where money sits (bank, cash, wallet, credit card). Entries
+// may carry an `accountId`; transfers are entries of type 'transfer' that move
+// `amount` from `accountId` to `toAccountId` and never count as income or
+// expense.
+const ACCOUNT_KINDS = {
+  bank: 'Bank Account',
+  cash: 'Cash',
+  wallet: 'Wallet / UPI',
+  credit: 'Credit Card'
+};
+
+function addAccount(account) {
+  account.id = uuid();
+  account.createdAt = new Date().toISOString();
+  account.updatedAt = account.createdAt;
+  store.accounts.push(account);
+  saveStore(store);
+}
+
+function updateAccount(id, updates) {
+  const idx = store.accounts.findIndex(a => a.id === id);
+  if (idx !== -1) {
+    store.accounts[idx] = { ...store.accounts[idx], ...updates, updatedAt: new Date().toISOString() };
+    saveStore(store);
+  }
+}
+
+// Entries are unassigned; transfers have no meaning without both sides, so
+// those touching the account are removed
+function deleteAccount(id) {
+  const idx = store.accounts.findIndex(a => a.id === id);
+  if (idx === -1) return;
+
+  Object.values(store.entries).flat().forEach(e => {
+    if (e.type === 'transfer' && (e.accountId === id || e.toAccountId === id)) {
+      deleteEntry(e.id);
+    } else if (e.accountId === id) {
+      e.accountId = null;
+    }
+  });
+  store.accounts.splice(idx, 1);
+  saveStore(store);
+}
+
+function getAccountName(id) {
+  return store.accounts.find(a => a.id === id)?.name || 'Unknown account';
+}
+
+function addTransfer(fromAccountId, toAccountId, amount, date, description, note = '') {
+  addEntry({
+    type: 'transfer',
+    category: 'Transfer',
+    description: description || `Transfer to ${getAccountName(toAccountId)}`,
+    amount: Number(amount),
+    date,
+    note,
+    accountId: fromAccountId,
+    toAccountId
+  });
+}
+
+// Signed effect of an entry on one account's balance
+function getAccountEffect(entry, accountId) {
+  const amount = Number(entry.amount);
+  if (entry.type === 'transfer') {
+    if (entry.toAccountId === accountId) return amount;
+    if (entry.accountId === accountId) return -amount;
+    return 0;
+  }
+  if (entry.accountId !== accountId) return 0;
+  return entry.type === 'income' ? amount : -amount;
+}
+
+// Returns [{ entry, amount, balance }] oldest first, starting from the opening balance
+function getAccountLedger(accountId) {
+  const account = store.accounts.find(a => a.id === accountId);
+  if (!account) return [];
+
+  let balance = Number(account.openingBalance) || 0;
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => e.accountId === accountId || e.toAccountId === accountId)
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(entry => {
+      const amount = getAccountEffect(entry, accountId);
+      balance += amount;
+      return { entry, amount, balance };
+    });
+}
+
+function getAccountBalance(accountId) {
+  const account = store.accounts.find(a => a.id === accountId);
+  if (!account) return 0;
+  const ledger = getAccountLedger(accountId);
+  return ledger.length ? ledger[ledger.length - 1].balance : Number(account.openingBalance) || 0;
+}
+
+function renderAccountSelectField(selectedId, name = 'accountId', label = 'Account') {
+  if (store.accounts.length === 0) return '';
+  return `
+    <div class="field">
+      <label class="block text-sm font-medium text-gray-700 mb-2">${label}</label>
+      <select name="${name}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        <option value="">— No account —</option>
+        ${store.accounts.map(a => `<option value="${a.id}" ${selectedId === a.id ? 'selected' : ''}>${escapeHTML(a.name)}</option>`).join('')}
+      </select>
+    </div>
+  `;
+}
+
+// ---------- Credit Cards ----------
+// Credit accounts are liabilities: a negative balance is the amount owed.
+// They carry `statementDay` and `dueDay` (days of the month, clamped to short
+// months) and a `creditLimit`. Swipes are expenses on the card account and
+// bill payments are transfers into it, so nothing is counted twice.
+
+function getDayInMonth(year, month, day) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, daysInMonth));
+}
+
+function getLastStatementDate(account, today = new Date()) {
+  const day = Number(account.statementDay) || 1;
+  const thisMonth = getDayInMonth(today.getFullYear(), today.getMonth(), day);
+  return thisMonth <= today ? thisMonth : getDayInMonth(today.getFullYear(), today.getMonth() - 1, day);
+}
+
+// First due day strictly after the statement date
+function getStatementDueDate(account, statementDate) {
+  const day = Number(account.dueDay) || Number(account.statementDay) || 1;
+  const sameMonth = getDayInMonth(statementDate.getFullYear(), statementDate.getMonth(), day);
+  return sameMonth > statementDate
+    ? sameMonth
+    : getDayInMonth(statementDate.getFullYear(), statementDate.getMonth() + 1, day);
+}
+
+function getCreditCardStatus(account, today = new Date()) {
+  const ledger = getAccountLedger(account.id);
+  const statementDate = getLastStatementDate(account, today);
+  const statementISO = toISODate(statementDate);
+  const todayISO = toISODate(today);
+
+  const balanceOn = iso => ledger.filter(row => row.entry.date <= iso).reduce(
+    (balance, row) => balance + row.amount,
+    Number(account.openingBalance) || 0
+  );
+  const sinceStatement = ledger.filter(row => row.entry.date > statementISO && row.entry.date <= todayISO);
+
+  const statementBalance = Math.max(0, -balanceOn(statementISO));
+  const paidSinceStatement = sinceStatement.filter(row => row.amount > 0).reduce((sum, row) => sum + row.amount, 0);
+  const currentCycleSpend = sinceStatement.filter(row => row.amount < 0).reduce((sum, row) => sum - row.amount, 0);
+  const outstanding = Math.max(0, -balanceOn(todayISO));
+  const creditLimit = Number(account.creditLimit) || 0;
+  const amountDue = Math.max(0, statementBalance - paidSinceStatement);
+  const dueDate = getStatementDueDate(account, statementDate);
+
+  return {
+    statementDate,
+    nextStatementDate: getDayInMonth(statementDate.getFullYear(), statementDate.getMonth() + 1, Number(account.statementDay) || 1),
+    dueDate,
+    statementBalance,
+    amountDue,
+    currentCycleSpend,
+    outstanding,
+    creditLimit,
+    available: creditLimit ? creditLimit - outstanding : null,
+    utilisation: creditLimit ? (outstanding / creditLimit) * 100 : null,
+    isOverdue: amountDue > 0 && toISODate(dueDate) < todayISO
+  };
+}
+
+function getCreditCardAccounts() {
+  return store.accounts.filter(a => a.kind === 'credit');
+}
+
+// Bill payments used to be logged as 'Credit Card' expenses alongside the
+// swipes themselves; turn them into transfers into the card account
+function getCardPaymentExpenses() {
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => e.type === 'expense' && e.category === 'Credit Card' && !isSplitEntry(e));
+}
+
+function convertCardPaymentsToTransfers(cardAccountId, fromAccountId) {
+  const payments = getCardPaymentExpenses();
+  payments.forEach(e => updateEntry(e.id, {
+    type: 'transfer',
+    category: 'Transfer',
+    accountId: e.accountId && e.accountId !== cardAccountId ? e.accountId : fromAccountId,
+    toAccountId: cardAccountId,
+    loanId: null
+  }));
+  store.settings.expenseCategories = store.settings.expenseCategories.filter(c => c !== 'Credit Card');
+  saveStore(store);
+  return payments.length;
+}
+
+// ---------- Loans ----------
+function addLoan(loan) {
+  loan.id = uuid();
+  loan.createdAt = new Date().toISOString();
+  loan.updatedAt = loan.createdAt;
+  store.loans.push(loan);
+  saveStore(store);
+}
+
+function updateLoan(id, updates) {
+  const idx = store.loans.findIndex(l => l.id === id);
+  if (idx !== -1) {
+    store.loans[idx] = { ...store.loans[idx], ...updates, updatedAt: new Date().toISOString() };
+    saveStore(store);
+  }
+}
+
+function deleteLoan(id) {
+  const idx = store.loans.findIndex(l => l.id === id);
+  if (idx !== -1) {
+    const payments = getLoanPayments(id);
+    moveToTrash('loan', store.loans[idx], payments.map(e => e.id));
+    payments.forEach(e => updateEntry(e.id, { loanId: null }));
+    store.loans.splice(idx, 1);
+    saveStore(store);
+  }
+}
+
+// ---------- Loan Repayments ----------
+function getLoanPayments(loanId) {
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => e.type === 'expense' && e.loanId === loanId)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Replays the linked payments against the loan: each payment first covers
+// the interest accrued since the previous payment, the rest repays principal.
+function getLoanRepaymentStatus(loan) {
+  const r = (Number(loan.interestRate) || 0) / 12 / 100;
+  const repaidBefore = Number(loan.principalRepaidBefore) || 0;
+  const payments = getLoanPayments(loan.id);
+  let balance = Math.max(Number(loan.principal) - repaidBefore, 0);
+  let interestPaid = 0;
+  let principalRepaid = repaidBefore;
+
+  const monthIndex = date => {
+    const d = parseISODate(date);
+    return d.getFullYear() * 12 + d.getMonth();
+  };
+  // Interest starts accruing the month before the first EMI
+  let lastCharged = loan.startDate
+    ? monthIndex(loan.startDate) - 1
+    : payments.length ? monthIndex(payments[0].date) - 1 : 0;
+
+  const history = payments.map(entry => {
+    const amount = Number(entry.amount);
+    const months = Math.max(monthIndex(entry.date) - lastCharged, 0);
+    lastCharged = Math.max(lastCharged, monthIndex(entry.date));
+
+    const interest = Math.min(balance * r * months, amount);
+    const principal = Math.min(amount - interest, balance);
+    balance -= principal;
+    interestPaid += interest;
+    principalRepaid += principal;
+
+    return { entry, amount, interest, principal, balanceAfter: balance };
+  });
+
+  return {
+    payments: history,
+    totalPaid: payments.reduce((sum, e) => sum + Number(e.amount), 0),
+    interestPaid,
+    principalRepaid,
+    outstanding: balance,
+    progress: loan.principal ? Math.min((principalRepaid / loan.principal) * 100, 100) : 0
+  };
+}
+
+function renderLoanSelectField(selectedId, hidden = false) {
+  if (store.loans.length === 0) return '';
+  return `
+    <div class="field ${hidden ? 'hidden' : ''}" id="loanFieldContainer">
+      <label class="block text-sm font-medium text-gray-700 mb-2">Loan Repayment (optional)</label>
+      <select name="loanId" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        <option value="">— Not a loan payment —</option>
+        ${store.loans.map(l => `<option value="${l.id}" ${selectedId === l.id ? 'selected' : ''}>${escapeHTML(l.name)}</option>`).join('')}
+      </select>
+    </div>
+  `;
+}
+
+function toggleLoanField(type) {
+  document.getElementById('loanFieldContainer')?.classList.toggle('hidden', type !== 'expense');
+}
+
+// ---------- Loan Amortisation ----------
+const MAX_LOAN_MONTHS = 1200;
+
+function calculateEMI(principal, annualRate, months) {
+  if (!principal || !months) return 0;
+  const r = annualRate / 12 / 100;
+  if (r === 0) return principal / months;
+  const factor = Math.pow(1 + r, months);
+  return (principal * r * factor) / (factor - 1);
+}
+
+function getLoanEMI(loan) {
+  return Number(loan.emi) || calculateEMI(loan.principal, loan.interestRate, loan.tenureMonths);
+}
+
+function hasLoanSchedule(loan) {
+  return Boolean(loan.startDate && (loan.emi || loan.tenureMonths));
+}
+
+function getOriginalTenure(loan) {
+  if (loan.tenureMonths) return Number(loan.tenureMonths);
+  const r = Number(loan.interestRate) / 12 / 100;
+  const emi = Number(loan.emi);
+  if (r === 0) return Math.ceil(loan.principal / emi);
+  return Math.ceil(-Math.log(1 - (r * loan.principal) / emi) / Math.log(1 + r));
+}
+
+function getPrepaymentForMonth(prepayments, monthKey) {
+  return prepayments.filter(p => {
+    const startKey = getMonthKey(parseISODate(p.startDate));
+    if (p.frequency === 'once') return monthKey === startKey;
+    if (monthKey < startKey) return false;
+    return p.frequency === 'monthly' || monthKey.slice(5) === startKey.slice(5);
+  });
+}
+
+// Month-by-month repayment plan. Row dates start at the first EMI date;
+// the final instalment is trimmed to whatever balance is left.
+// Prepayments saved on the loan are always applied; `extraPrepayments`
+// lets the simulator try a scenario without touching the loan itself.
+function generateAmortisationSchedule(loan, extraPrepayments = []) {
+  const rows = [];
+  if (!hasLoanSchedule(loan)) return rows;
+
+  const r = Number(loan.interestRate) / 12 / 100;
+  const start = parseISODate(loan.startDate);
+  const prepayments = [...(loan.prepayments || []), ...extraPrepayments];
+  let emi = getLoanEMI(loan);
+  let balance = Number(loan.principal);
+
+  // An EMI that does not cover the interest would never repay the loan
+  if (emi <= balance * r) return rows;
+
+  const tenure = getOriginalTenure(loan);
+
+  for (let month = 1; balance > 0.005 && month <= MAX_LOAN_MONTHS; month++) {
+    const date = toISODate(addIntervalToDate(start, 'monthly', month - 1));
+    const interest = balance * r;
+    const payment = Math.min(emi, balance + interest);
+    const principal = payment - interest;
+    const openingBalance = balance;
+    balance = Math.max(balance - principal, 0);
+
+    const due = getPrepaymentForMonth(prepayments, getMonthKey(parseISODate(date)));
+    const prepayment = Math.min(due.reduce((sum, p) => sum + Number(p.amount), 0), balance);
+    balance -= prepayment;
+
+    // Reducing the EMI keeps the original end date and re-spreads the balance
+    if (prepayment > 0 && due.some(p => p.strategy === 'emi') && tenure > month) {
+      emi = calculateEMI(balance, Number(loan.interestRate), tenure - month);
+    }
+
+    rows.push({
+      month,
+      date,
+      openingBalance,
+      payment,
+      interest,
+      principal,
+      prepayment,
+      closingBalance: balance
+    });
+  }
+  return rows;
+}
+
+function getLoanScheduleSummary(loan, extraPrepayments = []) {
+  const schedule = generateAmortisationSchedule(loan, extraPrepayments);
+  if (schedule.length === 0) return null;
+
+  const today = toISODate(new Date());
+  const paidRows = schedule.filter(row => row.date <= today);
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+  return {
+    schedule,
+    emi: getLoanEMI(loan),
+    totalInterest: sum(schedule, 'interest'),
+    totalPayment: sum(schedule, 'payment') + sum(schedule, 'prepayment'),
+    totalPrepaid: sum(schedule, 'prepayment'),
+    finalEMI: schedule[schedule.length - 1 - (schedule.length > 1 ? 1 : 0)].payment,
+    interestPaidToDate: sum(paidRows, 'interest'),
+    principalPaidToDate: sum(paidRows, 'principal'),
+    instalmentsPaid: paidRows.length,
+    payoffDate: schedule[schedule.length - 1].date
+  };
+}
+
+// ---------- Goals ----------
+function addGoal(goal) {
+  goal.id = uuid();
+  goal.createdAt = new Date().toISOString();
+  goal.updatedAt = goal.createdAt;
+  store.goals.push(goal);
+  saveStore(store);
+}
+
+function updateGoal(id, updates) {
+  const idx = store.goals.findIndex(g => g.id === id);
+  if (idx !== -1) {
+    store.goals[idx] = { ...store.goals[idx], ...updates, updatedAt: new Date().toISOString() };
+    saveStore(store);
+  }
+}
+
+function deleteGoal(id) {
+  const idx = store.goals.findIndex(g => g.id === id);
+  if (idx !== -1) {
+    const contributions = getGoalContributions(id);
+    moveToTrash('goal', store.goals[idx], contributions.map(({ entry, amount }) => ({ entryId: entry.id, amount })));
+    contributions.forEach(({ entry }) => {
+      updateEntry(entry.id, {
+        goalAllocations: entry.goalAllocations.filter(a => a.goalId !== id)
+      });
+    });
+    store.goals.splice(idx, 1);
+    saveStore(store);
+  }
+}
+
+function getGoalContributions(goalId) {
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => (e.goalAllocations || []).some(a => a.goalId === goalId))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(entry => ({
+      entry,
+      amount: entry.goalAllocations
+        .filter(a => a.goalId === goalId)
+        .reduce((sum, a) => sum + Number(a.amount), 0)
+    }));
+}
+
+function getGoalSavedAmount(goal) {
+  return getGoalContributions(goal.id).reduce((sum, c) => sum + c.amount, 0);
+}
+
+function getGoalProgress(goal) {
+  return Math.min((getGoalSavedAmount(goal) / goal.targetAmount) * 100, 100);
+}
+
+// ---------- Goal Forecasting ----------
+const GOAL_RATE_WINDOW_MONTHS = 6;
+const GOAL_STATUS_ORDER = ['behind', 'on-track', 'ahead', 'complete'];
+
+function monthsBetween(from, to) {
+  return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+}
+
+// Average monthly contribution over the recent window. Goals that started
+// contributing part-way through the window are averaged over the months
+// since their first contribution, so new goals are not under-rated.
+function getGoalMonthlyRate(contributions) {
+  if (contributions.length === 0) return 0;
+
+  const today = new Date();
+  const windowStart = new Date(today.getFullYear(), today.getMonth() - (GOAL_RATE_WINDOW_MONTHS - 1), 1);
+  const firstContribution = parseISODate(contributions[0].entry.date);
+  const start = firstContribution > windowStart ? firstContribution : windowStart;
+  const startKey = toISODate(new Date(start.getFullYear(), start.getMonth(), 1));
+
+  const recent = contributions
+    .filter(c => c.entry.date >= startKey)
+    .reduce((sum, c) => sum + c.amount, 0);
+  return recent / (monthsBetween(start, today) + 1);
+}
+
+function getGoalForecast(goal) {
+  const contributions = getGoalContributions(goal.id);
+  const saved = contributions.reduce((sum, c) => sum + c.amount, 0);
+  const remaining = Math.max(goal.targetAmount - saved, 0);
+  const today = new Date();
+  const targetDate = parseISODate(goal.targetDate);
+  const monthsLeft = Math.max(monthsBetween(today, targetDate), 0);
+  const monthlyRate = getGoalMonthlyRate(contributions);
+
+  let projectedDate = null;
+  if (remaining === 0) {
+    projectedDate = contributions.length ? parseISODate(contributions[contributions.length - 1].entry.date) : today;
+  } else if (monthlyRate > 0) {
+    projectedDate = new Date(today.getFullYear(), today.getMonth() + Math.ceil(remaining / monthlyRate), 1);
+  }
+
+  let status;
+  if (remaining === 0) {
+    status = 'complete';
+  } else if (!projectedDate || getMonthKey(projectedDate) > getMonthKey(targetDate)) {
+    status = 'behind';
+  } else if (getMonthKey(projectedDate) < getMonthKey(targetDate)) {
+    status = 'ahead';
+  } else {
+    status = 'on-track';
+  }
+
+  return {
+    saved,
+    remaining,
+    monthsLeft,
+    // Anything still missing once the target month has arrived is due now
+    requiredMonthly: remaining / Math.max(monthsLeft, 1),
+    monthlyRate,
+    projectedDate,
+    status
+  };
+}
+
+// Behind-schedule goals first, then by how soon they are due
+function getGoalsByUrgency() {
+  return store.goals
+    .map(goal => ({ goal, forecast: getGoalForecast(goal) }))
+    .sort((a, b) =>
+      GOAL_STATUS_ORDER.indexOf(a.forecast.status) - GOAL_STATUS_ORDER.indexOf(b.forecast.status) ||
+      a.goal.targetDate.localeCompare(b.goal.targetDate)
+    );
+}
+
+function renderGoalStatusBadge(status) {
+  const styles = {
+    behind: ['bg-red-100 text-red-700', 'Behind'],
+    'on-track': ['bg-blue-100 text-blue-700', 'On track'],
+    ahead: ['bg-green-100 text-green-700', 'Ahead'],
+    complete: ['bg-emerald-100 text-emerald-700', 'Complete']
+  };
+  const [classes, label] = styles[status];
+  return `<span class="inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${classes}">${label}</span>`;
+}
+
+function renderGoalForecastGrid(forecast) {
+  const projected = forecast.projectedDate
+    ? forecast.projectedDate.toLocaleString('en-IN', { month: 'short', year: 'numeric' })
+    : 'No recent savings';
+  return `
+    <div class="grid grid-cols-3 gap-4 mb-3 p-3 bg-gray-50 rounded-lg">
+      <div>
+        <div class="text-xs text-gray-500">Needed / Month</div>
+        <div class="font-semibold text-gray-900">${formatMoney(forecast.requiredMonthly)}</div>
+      </div>
+      <div>
+        <div class="text-xs text-gray-500">Saving / Month</div>
+        <div class="font-semibold text-gray-900">${formatMoney(forecast.monthlyRate)}</div>
+      </div>
+      <div>
+        <div class="text-xs text-gray-500">${forecast.status === 'complete' ? 'Completed' : 'Projected'}</div>
+        <div class="font-semibold text-gray-900">${projected}</div>
+      </div>
+    </div>
+  `;
+}
+
+// ---------- Cash-flow Forecast ----------
+// Projects month-end balances from next month on. Known amounts come from
+// recurring templates, loan schedules and goal target dates; everything else
+// is the average of recent months. Recurring and loan-linked entries are left
+// out of that average so they are not counted twice. Savings are planned
+// from goal targets only, as recurring savings usually feed those goals.
+const FORECAST_HISTORY_MONTHS = 6;
+const FORECAST_HORIZONS = [3, 6, 12];
+
+function getForecastHistoryMonths(today = new Date()) {
+  const first = Object.values(store.entries).flat().reduce((min, e) => (e.date < min ? e.date : min), toISODate(today));
+  const available = monthsBetween(parseISODate(first), today);
+  const count = Math.min(Math.max(available, 1), FORECAST_HISTORY_MONTHS);
+  return Array.from({ length: count }, (_, i) => getMonthKey(new Date(today.getFullYear(), today.getMonth() - count + i, 1)));
+}
+
+function isForecastedSeparately(entry) {
+  return Boolean(entry.loanId || (entry.recurringId && store.recurring.some(t => t.id === entry.recurringId)));
+}
+
+// Average monthly spending per category over complete recent months
+function getAverageSpendingByCategory(today = new Date()) {
+  const monthKeys = getForecastHistoryMonths(today);
+  const totals = {};
+  monthKeys.forEach(key => {
+    (store.entries[key] || [])
+      .filter(e => e.type === 'expense' && !isForecastedSeparately(e))
+      .forEach(e => getEntryLines(e).forEach(line => {
+        totals[line.category] = (totals[line.category] || 0) + line.amount;
+      }));
+  });
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, amount: total / monthKeys.length }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+function getAverageIncome(today = new Date()) {
+  const monthKeys = getForecastHistoryMonths(today);
+  const total = monthKeys.reduce((sum, key) => sum + (store.entries[key] || [])
+    .filter(e => e.type === 'income')
+    .reduce((s, e) => s + Number(e.amount), 0), 0);
+  return total / monthKeys.length;
+}
+
+function getRecurringAmountForMonth(type, monthKey) {
+  const today = toISODate(new Date());
+  const monthStart = `${monthKey}-01`;
+  const monthEnd = getMonthEndDate(monthKey);
+  return store.recurring
+    .filter(t => t.type === type && !t.loanId)
+    .reduce((sum, t) => {
+      const count = getRecurringOccurrences(t, monthEnd).filter(date => date >= monthStart).length;
+      const converted = convertEntryAmount(Number(t.amount), t.currency, today);
+      return sum + count * (converted ? converted.amount : Number(t.amount));
+    }, 0);
+}
+
+function getLoanEMIForMonth(loan, monthKey) {
+  if (hasLoanSchedule(loan)) {
+    return generateAmortisationSchedule(loan)
+      .filter(row => row.date.startsWith(monthKey))
+      .reduce((sum, row) => sum + row.payment, 0);
+  }
+  // Without a schedule, assume the EMI continues until the loan is repaid
+  return Number(loan.emi) && getLoanRepaymentStatus(loan).outstanding > 0 ? Number(loan.emi) : 0;
+}
+
+// What goals with a target date need each month to reach it on time
+function getGoalContributionForMonth(monthKey) {
+  return store.goals
+    .filter(goal => goal.targetDate && goal.targetDate.slice(0, 7) >= monthKey)
+    .reduce((sum, goal) => sum + getGoalForecast(goal).requiredMonthly, 0);
+}
+
+// Today's balance across all accounts; credit cards count what is owed
+function getCurrentCashBalance() {
+  return store.accounts.reduce((sum, account) => sum + getAccountBalance(account.id), 0);
+}
+
+function getCashFlowForecast(monthsCount = 6, startingBalance = getCurrentCashBalance()) {
+  const today = new Date();
+  const categories = getAverageSpendingByCategory(today);
+  const averageSpending = categories.reduce((sum, c) => sum + c.amount, 0);
+  const hasRecurringIncome = store.recurring.some(t => t.type === 'income');
+  const averageIncome = hasRecurringIncome ? 0 : getAverageIncome(today);
+
+  let balance = startingBalance;
+  const months = Array.from({ length: monthsCount }, (_, i) => {
+    const monthKey = getMonthKey(new Date(today.getFullYear(), today.getMonth() + i + 1, 1));
+    const income = averageIncome + getRecurringAmountForMonth('income', monthKey);
+    const spending = averageSpending + getRecurringAmountForMonth('expense', monthKey);
+    const emi = store.loans.reduce((sum, loan) => sum + getLoanEMIForMonth(loan, monthKey), 0);
+    const goals = getGoalContributionForMonth(monthKey);
+    const net = income - spending - emi - goals;
+    balance += net;
+    return { monthKey, income, spending, emi, goals, net, balance, negative: balance < 0 };
+  });
+
+  return {
+    startingBalance,
+    categories,
+    incomeSource: hasRecurringIncome ? 'recurring' : 'average',
+    months,
+    firstNegative: months.find(m => m.negative) || null
+  };
+}
+
+// ---------- Chart Instances ----------
+let chartInstance;
+let savingsChartInstance = null;
+let homeActiveCategory = 'budget';
+// The dashboard chart shows `homeChartMonths` months ending at `homeChartEnd`
+const HOME_CHART_RANGES = [3, 6, 12, 24];
+let homeChartEnd = getMonthKey(new Date());
+let homeChartMonths = 6;
+let homeChartShowIncome = true;
+let homeChartObserver = null;
+
+// ---------- Enhanced Home Page Functions ----------
+function renderHomePage() {
+  renderHomeCategoryButtons();
+  renderHomeCategoryContent();
+  renderRecentTransactions();
+}
+
+function renderHomeCategoryButtons() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  if (!chartContainer) return;
+
+  let buttonsContainer = document.getElementById('homeCategoryButtons');
+  if (!buttonsContainer) {
+    buttonsContainer = document.createElement('div');
+    buttonsContainer.id = 'homeCategoryButtons';
+    buttonsContainer.className = 'flex gap-3 mb-6 justify-center flex-wrap';
+    chartContainer.parentNode.insertBefore(buttonsContainer, chartContainer);
+  }
+
+  const categories = [
+    { id: 'budget', label: 'Budget' },
+    { id: 'loans', label: 'Loans' },
+    { id: 'goals', label: 'Goals' },
+    { id: 'savings', label: 'Savings' },
+    { id: 'cards', label: 'Cards' }
+  ];
+
+  buttonsContainer.innerHTML = categories.map(cat => `
+    <button 
+      onclick="switchHomeCategory('${cat.id}')" 
+      class="px-6 py-3 rounded-lg font-medium transition-all border-2 ${
+        homeActiveCategory === cat.id 
+          ? 'bg-primary-600 text-white border-primary-600 shadow-lg' 
+          : 'bg-white text-gray-700 border-gray-300 hover:border-primary-500 hover:bg-gray-50'
+      }"
+    >
+      ${cat.label}
+    </button>
+  `).join('');
+}
+
+function switchHomeCategory(category) {
+  homeActiveCategory = category;
+  renderHomeCategoryButtons();
+  renderHomeCategoryContent();
+}
+
+function renderHomeCategoryContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  if (!chartContainer) return;
+
+  const buttonsContainer = document.getElementById('homeCategoryButtons');
+  chartContainer.innerHTML = '';
+  homeChartObserver?.disconnect();
+  homeChartObserver = null;
+  
+  document.querySelectorAll('#expensesChartContainer canvas').forEach(canvas => canvas.remove());
+
+  switch (homeActiveCategory) {
+    case 'budget':
+      renderBudgetHomeContent();
+      break;
+    case 'loans':
+      renderLoansHomeContent();
+      break;
+    case 'goals':
+      renderGoalsHomeContent();
+      break;
+    case 'savings':
+      renderSavingsHomeContent();
+      break;
+    case 'cards':
+      renderCardsHomeContent();
+      break;
+  }
+}
+
+function renderBudgetHomeContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  if (!chartContainer) return;
+
+  const series = getMonthlyTotalsSeries(homeChartEnd, homeChartMonths);
+  const atCurrentMonth = homeChartEnd >= getMonthKey(new Date());
+  const legendItem = (color, label, dashed = false) => `
+    <span class="flex items-center gap-2">
+      <span class="inline-block w-4 ${dashed ? 'border-t-2 border-dashed' : 'h-1 rounded-full'}" style="${dashed ? `border-color: ${color}` : `background: ${color}`}"></span>${label}
+    </span>
+  `;
+
+  chartContainer.innerHTML = `
+    <div class="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+      <div class="flex items-center gap-3">
+        <button type="button" id="chartPrev" onclick="stepHomeChart(-1)" class="p-2.5 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors shadow-sm" aria-label="Earlier months">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/>
+          </svg>
+        </button>
+        <span class="min-w-[10rem] text-center font-semibold text-gray-900">
+          ${series.length > 1 ? `${formatMonthLabel(series[0].monthKey)} – ` : ''}${formatMonthLabel(homeChartEnd)}
+        </span>
+        <button type="button" id="chartNext" onclick="stepHomeChart(1)" ${atCurrentMonth ? 'disabled' : ''} class="p-2.5 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors shadow-sm disabled:opacity-40 disabled:cursor-not-allowed" aria-label="Later months">
+          <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>
+          </svg>
+        </button>
+      </div>
+      <div class="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="Months shown">
+        ${HOME_CHART_RANGES.map(n => `
+          <button type="button" onclick="setHomeChartMonths(${n})" class="px-3 py-1.5 text-sm font-medium transition-colors ${n === homeChartMonths ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}">${n}M</button>
+        `).join('')}
+      </div>
+    </div>
+    <div class="flex flex-wrap items-center gap-x-5 gap-y-2 mb-2 text-sm text-gray-700">
+      ${legendItem(HOME_CHART_SERIES.expense.color, 'Expenses')}
+      ${legendItem(HOME_CHART_SERIES.savings.color, 'Savings')}
+      ${legendItem(HOME_CHART_SERIES.net.color, 'Net', true)}
+      <button type="button" onclick="toggleHomeChartIncome()" aria-pressed="${homeChartShowIncome}" class="flex items-center gap-2 px-2 py-0.5 rounded border ${homeChartShowIncome ? 'border-gray-300 bg-white' : 'border-dashed border-gray-300 text-gray-400'}">
+        <span class="inline-block w-4 h-1 rounded-full" style="background: ${homeChartShowIncome ? HOME_CHART_SERIES.income.color : '#d1d5db'}"></span>Income
+      </button>
+    </div>
+    <div id="svgChartContainer" class="relative h-80"></div>
+  `;
+
+  const container = document.getElementById('svgChartContainer');
+  renderExpensesSVGChart(series);
+  // Redraw at the new size rather than scaling text and strokes with the SVG
+  if (typeof ResizeObserver !== 'undefined') {
+    let lastWidth = container.clientWidth;
+    homeChartObserver = new ResizeObserver(() => {
+      if (container.clientWidth === lastWidth) return;
+      lastWidth = container.clientWidth;
+      renderExpensesSVGChart(series);
+    });
+    homeChartObserver.observe(container);
+  }
+}
+
+function stepHomeChart(direction) {
+  const [y, m] = homeChartEnd.split('-').map(Number);
+  const next = getMonthKey(new Date(y, m - 1 + direction * homeChartMonths, 1));
+  const current = getMonthKey(new Date());
+  homeChartEnd = next > current ? current : next;
+  renderHomeCategoryContent();
+}
+
+function setHomeChartMonths(months) {
+  homeChartMonths = months;
+  renderHomeCategoryContent();
+}
+
+function toggleHomeChartIncome() {
+  homeChartShowIncome = !homeChartShowIncome;
+  renderHomeCategoryContent();
+}
+
+function renderLoansHomeContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  const loans = store.loans;
+
+  if (loans.length === 0) {
+    chartContainer.innerHTML = `
+      <div class="text-center p-8 text-gray-500">
+        <p>No loans tracked yet.</p>
+        <p class="text-sm mt-2">Add loans in the Loans section to see progress here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  chartContainer.innerHTML = `
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+      ${loans.map(loan => {
+        const status = getLoanRepaymentStatus(loan);
+        const paid = status.totalPaid;
+        const remaining = status.outstanding;
+        const progress = status.progress;
+        
+        return `
+          <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+            <div class="flex justify-between items-start mb-4">
+              <div>
+                <h3 class="font-semibold text-lg text-gray-900">${escapeHTML(loan.name)}</h3>
+                <p class="text-sm text-gray-500">${escapeHTML(loan.lender || 'No lender specified')}</p>
+              </div>
+            </div>
+            
+            <div class="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <div class="text-xs text-gray-500">Principal</div>
+                <div class="font-semibold text-gray-900">${formatMoney(loan.principal)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Paid</div>
+                <div class="font-semibold text-green-600">${formatMoney(paid)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Remaining</div>
+                <div class="font-semibold text-red-600">${formatMoney(remaining)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Progress</div>
+                <div class="font-semibold text-primary-600">${progress.toFixed(1)}%</div>
+              </div>
+            </div>
+            
+            <div class="flex justify-center">
+              <div class="relative w-32 h-32">
+                <svg class="w-full h-full" viewBox="0 0 36 36">
+                  <path
+                    d="M18 2.0845
+                      a 15.9155 15.9155 0 0 1 0 31.831
+                      a 15.9155 15.9155 0 0 1 0 -31.831"
+                    fill="none"
+                    stroke="#eee"
+                    stroke-width="3"
+                  />
+                  <path
+                    d="M18 2.0845
+                      a 15.9155 15.9155 0 0 1 0 31.831
+                      a 15.9155 15.9155 0 0 1 0 -31.831"
+                    fill="none"
+                    stroke="#4f46e5"
+                    stroke-width="3"
+                    stroke-dasharray="${progress}, 100"
+                    transform="rotate(-90 18 18)"
+                  />
+                  <text x="18" y="20.5" text-anchor="middle" font-size="8" fill="#4f46e5" font-weight="bold">
+                    ${progress.toFixed(0)}%
+                  </text>
+                </svg>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderSavingsHomeContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  if (!chartContainer) return;
+  
+  // Clear existing content
+  chartContainer.innerHTML = '';
+  
+  const currentMonth = getMonthKey(new Date());
+  const currentMonthSavings = getSavingsForMonth(currentMonth);
+  const totalSavings = getTotalSavings();
+  const savingsByMonth = getSavingsByMonth(12);
+
+  // Create the savings content with fixed height container
+  chartContainer.innerHTML = `
+    <div class="mb-6">
+      <div class="grid grid-cols-2 gap-4">
+        <div class="bg-gradient-to-br from-green-50 to-emerald-50 p-6 rounded-xl border border-green-200">
+          <div class="text-sm text-gray-600 font-medium">This Month's Savings</div>
+          <div class="text-2xl font-bold text-green-700 mt-1">${formatMoney(currentMonthSavings)}</div>
+        </div>
+        <div class="bg-gradient-to-br from-blue-50 to-cyan-50 p-6 rounded-xl border border-blue-200">
+          <div class="text-sm text-gray-600 font-medium">Total Savings</div>
+          <div class="text-2xl font-bold text-blue-700 mt-1">${formatMoney(totalSavings)}</div>
+        </div>
+      </div>
+    </div>
+    
+    <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+      <h3 class="text-lg font-semibold mb-4">Savings Over Time</h3>
+      <div class="h-80"> <!-- Fixed height container -->
+        <canvas id="savingsChart"></canvas>
+      </div>
+    </div>
+  `;
+  
+  renderSavingsChart(savingsByMonth);
+}
+
+function renderCardsHomeContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  const cards = getCreditCardAccounts();
+
+  if (cards.length === 0) {
+    chartContainer.innerHTML = `
+      <div class="text-center p-8 text-gray-500">
+        <p>No credit cards tracked yet.</p>
+        <p class="text-sm mt-2">Add a Credit Card account in the Accounts section to see dues here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  chartContainer.innerHTML = `
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+      ${cards.map(account => {
+        const card = getCreditCardStatus(account);
+        const used = Math.min(card.utilisation || 0, 100);
+
+        return `
+          <div class="bg-white p-6 rounded-xl shadow-sm border ${card.isOverdue ? 'border-red-300' : 'border-gray-200'}">
+            <div class="flex justify-between items-start mb-4">
+              <div>
+                <h3 class="font-semibold text-lg text-gray-900">${escapeHTML(account.name)}</h3>
+                <p class="text-sm text-gray-500">Statement on day ${account.statementDay} • due on day ${account.dueDay}</p>
+              </div>
+              ${card.isOverdue ? '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-700">Overdue</span>' : ''}
+            </div>
+
+            <div class="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <div class="text-xs text-gray-500">Amount Due</div>
+                <div class="font-semibold ${card.amountDue > 0 ? 'text-red-600' : 'text-gray-900'}">${formatMoney(card.amountDue)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Due Date</div>
+                <div class="font-semibold text-gray-900">${card.amountDue > 0 ? card.dueDate.toLocaleDateString('en-IN') : '—'}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">This Cycle</div>
+                <div class="font-semibold text-gray-900">${formatMoney(card.currentCycleSpend)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Available</div>
+                <div class="font-semibold text-green-600">${card.available !== null ? formatMoney(card.available) : '—'}</div>
+              </div>
+            </div>
+
+            ${card.utilisation !== null ? `
+              <div class="flex justify-between text-sm mb-1">
+                <span class="text-gray-600">Limit used</span>
+                <span class="font-medium ${card.utilisation > 80 ? 'text-red-600' : 'text-gray-900'}">${card.utilisation.toFixed(1)}% of ${formatMoney(card.creditLimit)}</span>
+              </div>
+              <div class="w-full bg-gray-200 rounded-full h-2">
+                <div class="h-2 rounded-full ${card.utilisation > 80 ? 'bg-red-500' : 'bg-primary-600'}" style="width: ${used}%"></div>
+              </div>
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderGoalsHomeContent() {
+  const chartContainer = document.getElementById('expensesChartContainer');
+  const goals = store.goals;
+
+  if (goals.length === 0) {
+    chartContainer.innerHTML = `
+      <div class="text-center p-8 text-gray-500">
+        <p>No goals set yet.</p>
+        <p class="text-sm mt-2">Add goals in the Goals section to track progress here.</p>
+      </div>
+    `;
+    return;
+  }
+
+  chartContainer.innerHTML = `
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+      ${getGoalsByUrgency().map(({ goal, forecast }) => {
+        const progress = getGoalProgress(goal);
+        const targetDate = new Date(goal.targetDate);
+        const isOverdue = targetDate < new Date();
+        
+        return `
+          <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
+            <div class="flex justify-between items-start mb-4">
+              <div>
+                <h3 class="font-semibold text-lg text-gray-900">${escapeHTML(goal.title)}</h3>
+                <p class="text-sm text-gray-500">${escapeHTML(goal.description || 'No description')}</p>
+              </div>
+              ${renderGoalStatusBadge(forecast.status)}
+            </div>
+            
+            ${forecast.status !== 'complete' ? `
+              <p class="text-sm text-gray-600 mb-4">Save <span class="font-semibold">${formatMoney(forecast.requiredMonthly)}</span> a month to finish on time.</p>
+            ` : ''}
+            
+            <div class="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <div class="text-xs text-gray-500">Target Amount</div>
+                <div class="font-semibold text-gray-900">${formatMoney(goal.targetAmount)}</div>
+              </div>
+              <div>
+                <div class="text-xs text-gray-500">Target Date</div>
+                <div class="font-semibold ${isOverdue ? 'text-red-600' : 'text-gray-900'}">
+                  ${targetDate.toLocaleDateString('en-IN')}
+                </div>
+              </div>
+            </div>
+            
+            <div class="flex justify-center">
+              <div class="relative w-32 h-32">
+                <svg class="w-full h-full" viewBox="0 0 36 36">
+                  <path
+                    d="M18 2.0845
+                      a 15.9155 15.9155 0 0 1 0 31.831
+                      a 15.9155 15.9155 0 0 1 0 -31.831"
+                    fill="none"
+                    stroke="#eee"
+                    stroke-width="3"
+                  />
+                  <path
+                    d="M18 2.0845
+                      a 15.9155 15.9155 0 0 1 0 31.831
+                      a 15.9155 15.9155 0 0 1 0 -31.831"
+                    fill="none"
+                    stroke="#10b981"
+                    stroke-width="3"
+                    stroke-dasharray="${progress}, 100"
+                    transform="rotate(-90 18 18)"
+                  />
+                  <text x="18" y="20.5" text-anchor="middle" font-size="8" fill="#10b981" font-weight="bold">
+                    ${progress.toFixed(0)}%
+                  </text>
+                </svg>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+// ---------- New Helper Functions for Home Dashboard ----------
+function getSavingsForMonth(monthKey) {
+  return getTotalsForMonth(monthKey).savings;
+}
+
+function getTotalSavings() {
+  return Object.values(store.entries)
+    .flat()
+    .filter(e => e.type === 'savings')
+    .reduce((sum, e) => sum + Number(e.amount), 0);
+}
+
+function getSavingsByMonth(monthsCount = 12) {
+  const result = [];
+  const currentDate = new Date();
+  
+  for (let i = monthsCount - 1; i >= 0; i--) {
+    const date = new Date(currentDate.getFullYear(), currentDate.getMonth() - i, 1);
+    const monthKey = getMonthKey(date);
+    const savings = getSavingsForMonth(monthKey);
+    
+    result.push({
+      monthKey,
+      savings,
+      label: date.toLocaleString('en-IN', { month: 'short', year: '2-digit' })
+    });
+  }
+  
+  return result;
+}
+
+function renderSavingsChart(savingsData) {
+  const ctx = document.getElementById('savingsChart');
+  if (!ctx) return;
+
+  // Destroy existing chart instance
+  if (savingsChartInstance) {
+    savingsChartInstance.destroy();
+    savingsChartInstance = null;
+  }
+
+  // Check if there's any savings data to display
+  const hasData = savingsData.some(d => d.savings > 0);
+  
+  if (!hasData) {
+    // Remove any existing canvas and show message
+    const chartContainer = document.getElementById('expensesChartContainer');
+    const existingCanvas = document.getElementById('savingsChart');
+    if (existingCanvas) {
+      existingCanvas.remove();
+    }
+    
+    // Show help message
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'text-center py-12';
+    messageDiv.innerHTML = `
+      <div class="text-gray-400 text-6xl mb-4">💾</div>
+      <h3 class="text-lg font-semibold text-gray-700 mb-2">No Savings Data</h3>
+      <p class="text-gray-500">Please add your savings details in the Savings section</p>
+      <button onclick="showPage('savings')" class="mt-4 bg-primary-600 hover:bg-primary-700 text-white px-6 py-2 rounded-lg font-medium transition-colors">
+        Go to Savings
+      </button>
+    `;
+    
+    // Find and replace the chart container content
+    const chartParent = ctx.closest('.bg-white');
+    if (chartParent) {
+      const chartSection = chartParent.querySelector('canvas')?.parentElement || chartParent;
+      chartSection.innerHTML = '';
+      chartSection.appendChild(messageDiv);
+    }
+    return;
+  }
+
+  // Create new chart with fixed dimensions
+  savingsChartInstance = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: savingsData.map(d => d.label),
+      datasets: [
+        {
+          label: 'Monthly Savings',
+          data: savingsData.map(d => d.savings),
+          backgroundColor: 'rgba(16, 185, 129, 0.7)',
+          borderColor: 'rgba(16, 185, 129, 1)',
+          borderWidth: 1,
+          borderRadius: 8
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      aspectRatio: 2, // Fixed aspect ratio to prevent infinite growth
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: value => formatMoney(value)
+          },
+          grid: {
+            drawBorder: false
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => 'Savings: ' + formatMoney(context.parsed.y)
+          }
+        },
+        legend: {
+          display: false
+        }
+      },
+      layout: {
+        padding: {
+          top: 10,
+          bottom: 10,
+          left: 10,
+          right: 10
+        }
+      }
+    }
+  });
+}
+
+// ---------- Chart Functions ----------
+function renderExpensesChart(startMonthKey) {
+  const ctx = document.getElementById('expensesChart');
+  if (!ctx) return;
+
+  const dataSeries = getExpensesSeriesForWindow(startMonthKey);
+  const labels = dataSeries.map(d => {
+    const [y, m] = d.monthKey.split('-').map(Number);
+    const date = new Date(y, m - 1);
+    return date.toLocaleString('en-IN', { month: 'short', year: '2-digit' });
+  });
+  const data = dataSeries.map(d => d.total);
+
+  if (chartInstance) {
+    chartInstance.destroy();
+    chartInstance = null;
+  }
+
+  chartInstance = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Monthly Expenses',
+          data,
+          backgroundColor: 'rgba(79, 70, 229, 0.7)',
+          borderColor: 'rgba(79, 70, 229, 1)',
+          borderWidth: 1,
+          borderRadius: 8
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false, // This is key - prevents automatic resizing
+      aspectRatio: 2.5, // Optimal ratio for bar charts (width:height)
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: value => formatMoney(value)
+          },
+          grid: {
+            drawBorder: false
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          }
+        }
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => 'Expenses: ' + formatMoney(context.parsed.y)
+          }
+        },
+        legend: {
+          display: false
+        }
+      },
+      layout: {
+        padding: {
+          top: 10,
+          bottom: 10,
+          left: 10,
+          right: 10
+        }
+      }
+    }
+  });
+}
+
+const HOME_CHART_SERIES = {
+  income: { label: 'Income', color: '#10b981' },
+  expense: { label: 'Expenses', color: '#FF6B6B' },
+  savings: { label: 'Savings', color: '#4FC3F7' },
+  net: { label: 'Net', color: '#5C5C99' }
+};
+
+// Rounds the axis step to 1, 2 or 5 times a power of ten
+function getNiceStep(range, ticks) {
+  const raw = range / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].find(f => f * magnitude >= raw) * magnitude;
+}
+
+function formatCompactMoney(amount) {
+  return new Intl.NumberFormat(store.settings.currencyLocale || 'en-IN', {
+    style: 'currency',
+    currency: getBaseCurrency(),
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1
+  }).format(amount);
+}
+
+// Draws at the container's real width so text and strokes keep their size
+function renderExpensesSVGChart(dataSeries) {
+  const container = document.getElementById('svgChartContainer');
+  if (!container) return;
+
+  const width = container.clientWidth || 540;
+  const height = container.clientHeight || 320;
+  const padding = { top: 16, right: 20, bottom: 36, left: 64 };
+  const graphW = width - padding.left - padding.right;
+  const graphH = height - padding.top - padding.bottom;
+
+  const keys = ['expense', 'savings', 'net', ...(homeChartShowIncome ? ['income'] : [])];
+  const values = dataSeries.flatMap(d => keys.map(key => d[key]));
+  // An empty window still gets a readable axis
+  const step = getNiceStep(Math.max(Math.max(...values, 0) - Math.min(...values, 0), 100), 5);
+  const minValue = Math.floor(Math.min(...values, 0) / step) * step;
+  const maxValue = Math.max(Math.ceil(Math.max(...values, 0) / step) * step, minValue + step);
+
+  // A single month sits in the middle instead of dividing by zero
+  const stepX = dataSeries.length > 1 ? graphW / (dataSeries.length - 1) : 0;
+  const xAt = i => (dataSeries.length > 1 ? padding.left + i * stepX : padding.left + graphW / 2);
+  const yAt = value => padding.top + (1 - (value - minValue) / (maxValue - minValue)) * graphH;
+
+  let grid = '';
+  for (let value = minValue; value <= maxValue + step / 2; value += step) {
+    const y = yAt(value);
+    grid += `
+      <line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" stroke="${value === 0 ? '#9ca3af' : '#e5e7eb'}" stroke-width="1"></line>
+      <text x="${padding.left - 8}" y="${y + 4}" text-anchor="end" font-size="11" fill="#6b7280">${formatCompactMoney(value)}</text>
+    `;
+  }
+
+  // Thin out month labels so 24 months still fit
+  const labelEvery = Math.ceil(dataSeries.length / Math.max(Math.floor(graphW / 48), 1));
+  const xLabels = dataSeries.map((d, i) => {
+    if (i % labelEvery !== 0) return '';
+    const date = parseISODate(`${d.monthKey}-01`);
+    const label = date.toLocaleString('en-IN', { month: 'short', ...(i === 0 || date.getMonth() === 0 ? { year: '2-digit' } : {}) });
+    return `<text x="${xAt(i)}" y="${height - padding.bottom + 20}" text-anchor="middle" font-size="11" fill="#6b7280">${label}</text>`;
+  }).join('');
+
+  const drawSeries = key => {
+    const { color } = HOME_CHART_SERIES[key];
+    const points = dataSeries.map((d, i) => `${xAt(i)},${yAt(d[key])}`).join(' ');
+    return `
+      <polyline points="${points}" stroke="${color}" fill="none" stroke-width="3" stroke-linecap="round" stroke-linejoin="round" ${key === 'net' ? 'stroke-dasharray="6 4"' : ''}></polyline>
+      ${dataSeries.map((d, i) => `<circle data-point="${i}" cx="${xAt(i)}" cy="${yAt(d[key])}" r="4" fill="#fff" stroke="${color}" stroke-width="2"></circle>`).join('')}
+    `;
+  };
+
+  // One invisible column per month catches the pointer for the tooltip
+  const columnW = dataSeries.length > 1 ? stepX : graphW;
+  const hitAreas = dataSeries.map((d, i) => `
+    <rect data-month-index="${i}" x="${Math.max(xAt(i) - columnW / 2, padding.left)}" y="${padding.top}" width="${columnW}" height="${graphH}" fill="transparent"></rect>
+  `).join('');
+
+  container.innerHTML = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Monthly income, expenses, savings and net">
+      ${grid}
+      <line id="homeChartGuide" x1="0" y1="${padding.top}" x2="0" y2="${padding.top + graphH}" stroke="#9ca3af" stroke-dasharray="3 3" visibility="hidden"></line>
+      ${xLabels}
+      ${keys.map(drawSeries).join('')}
+      ${hitAreas}
+    </svg>
+    <div id="homeChartTooltip" class="hidden absolute z-10 pointer-events-none bg-white rounded-lg shadow-lg border border-gray-200 px-3 py-2 text-sm whitespace-nowrap"></div>
+  `;
+
+  const tooltip = document.getElementById('homeChartTooltip');
+  const guide = document.getElementById('homeChartGuide');
+  const showTooltip = index => {
+    const d = dataSeries[index];
+    const x = xAt(index);
+    guide.setAttribute('x1', x);
+    guide.setAttribute('x2', x);
+    guide.setAttribute('visibility', 'visible');
+    container.querySelectorAll('[data-point]').forEach(point => {
+      point.setAttribute('r', Number(point.dataset.point) === index ? 6 : 4);
+    });
+
+    tooltip.innerHTML = `
+      <div class="font-semibold text-gray-900 mb-1">${formatMonthLabel(d.monthKey)}</div>
+      ${['income', 'expense', 'savings', 'net'].filter(key => keys.includes(key)).map(key => `
+        <div class="flex items-center justify-between gap-4">
+          <span class="flex items-center gap-2 text-gray-600">
+            <span class="inline-block w-2.5 h-2.5 rounded-full" style="background: ${HOME_CHART_SERIES[key].color}"></span>${HOME_CHART_SERIES[key].label}
+          </span>
+          <span class="font-medium ${key === 'net' && d.net < 0 ? 'text-red-600' : 'text-gray-900'}">${formatMoney(d[key])}</span>
+        </div>
+      `).join('')}
+    `;
+    tooltip.classList.remove('hidden');
+    // Keep the tooltip inside the chart, flipping it left of the guide near the right edge
+    const left = x + 12 + tooltip.offsetWidth > width ? x - 12 - tooltip.offsetWidth : x + 12;
+    tooltip.style.left = `${Math.max(left, 0)}px`;
+    tooltip.style.top = `${padding.top}px`;
+  };
+  const hideTooltip = () => {
+    tooltip.classList.add('hidden');
+    guide.setAttribute('visibility', 'hidden');
+    container.querySelectorAll('[data-point]').forEach(point => point.setAttribute('r', 4));
+  };
+
+  container.querySelectorAll('[data-month-index]').forEach(area => {
+    const index = Number(area.dataset.monthIndex);
+    area.addEventListener('mouseenter', () => showTooltip(index));
+    area.addEventListener('click', () => showTooltip(index));
+  });
+  container.querySelector('svg').addEventListener('mouseleave', hideTooltip);
+}
+
+// Totals for `monthsCount` months ending at `endMonthKey`, oldest first
+function getMonthlyTotalsSeries(endMonthKey, monthsCount = 6) {
+  const [y, m] = endMonthKey.split('-').map(Number);
+  return Array.from({ length: monthsCount }, (_, i) => {
+    const monthKey = getMonthKey(new Date(y, m - monthsCount + i, 1));
+    const totals = getTotalsForMonth(monthKey);
+    return { monthKey, income: totals.income, expense: totals.expense, savings: totals.savings, net: totals.remaining };
+  });
+}
+
+// ---------- Import / Export ----------
+// `name` gets today's date appended
+function downloadFile(text, name, extension = 'json', type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+  a.click();
+}
+
+function exportData() {
+  downloadFile(JSON.stringify(store, null, 2), 'budget-backup');
+}
+
+// ---------- Encrypted Backups ----------
+// The store is encrypted with AES-GCM under a key derived from the passphrase
+// with PBKDF2. GCM authenticates the data, so a wrong passphrase and a file
+// changed after export both fail to decrypt.
+const ENCRYPTED_BACKUP_FORMAT = 'hb-budget-encrypted';
+const PBKDF2_ITERATIONS = 310000;
+// Files outside this range are refused before any key is derived: too few is
+// weak, and a huge count would freeze the page
+const PBKDF2_ITERATION_RANGE = { min: 100000, max: 10000000 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function isEncryptedBackup(data) {
+  return Boolean(data) && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+// Resolves to the decrypted text; rejects with a message fit to show the user
+async function decryptBackup(backup, passphrase) {
+  let salt, iv, ciphertext;
+  try {
+    salt = base64ToBytes(backup.kdf.salt);
+    iv = base64ToBytes(backup.cipher.iv);
+    ciphertext = base64ToBytes(backup.data);
+  } catch {
+    throw new Error('This encrypted backup is damaged and cannot be read.');
+  }
+  if (backup.version !== 1 || backup.cipher.name !== 'AES-GCM' || !Number.isInteger(backup.kdf.iterations)) {
+    throw new Error('This encrypted backup uses a format this version of the app does not support.');
+  }
+  const { iterations } = backup.kdf;
+  if (iterations < PBKDF2_ITERATION_RANGE.min || iterations > PBKDF2_ITERATION_RANGE.max) {
+    throw new Error('This encrypted backup uses key settings this version of the app does not support.');
+  }
+
+  const key = await deriveBackupKey(passphrase, salt, iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('Wrong passphrase, or the file was changed after it was exported.');
+  }
+}
+
+function showEncryptedExportModal() {
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-2">Export Encrypted Backup</h3>
+      <p class="text-sm text-gray-500 mb-6">The file can only be imported with this passphrase. There is no way to recover it if you forget it.</p>
+      <form id="encryptedExportForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Passphrase</label>
+          <input type="password" name="passphrase" required minlength="${MIN_PASSPHRASE_LENGTH}" autocomplete="new-password" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Confirm Passphrase</label>
+          <input type="password" name="confirmPassphrase" required autocomplete="new-password" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <p id="encryptedExportError" class="hidden text-sm text-red-600"></p>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Export</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('encryptedExportForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const passphrase = formData.get('passphrase');
+    const errorEl = document.getElementById('encryptedExportError');
+
+    let error = null;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      error = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    } else if (passphrase !== formData.get('confirmPassphrase')) {
+      error = 'The passphrases do not match.';
+    }
+    if (error) {
+      errorEl.textContent = error;
+      errorEl.classList.remove('hidden');
+      return;
+    }
+
+    const submitBtn = e.target.querySelector('[type=submit]');
+    submitBtn.disabled = true;
+    try {
+      const backup = await encryptBackup(JSON.stringify(store), passphrase);
+      downloadFile(JSON.stringify(backup), 'budget-backup-encrypted');
+      hideModal();
+    } catch (err) {
+      errorEl.textContent = `The backup could not be encrypted: ${err.message}`;
+      errorEl.classList.remove('hidden');
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+function showDecryptImportModal(fileName, backup) {
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-2">Encrypted Backup</h3>
+      <p class="text-sm text-gray-500 mb-6">Enter the passphrase used to export ${escapeHTML(fileName)}.</p>
+      <form id="decryptImportForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Passphrase</label>
+          <input type="password" name="passphrase" required autocomplete="current-password" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <p id="decryptImportError" class="hidden text-sm text-red-600"></p>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Unlock</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('decryptImportForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorEl = document.getElementById('decryptImportError');
+    const submitBtn = e.target.querySelector('[type=submit]');
+    submitBtn.disabled = true;
+    try {
+      const text = await decryptBackup(backup, new FormData(e.target).get('passphrase'));
+      prepareJsonImport(fileName, JSON.parse(text));
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.classList.remove('hidden');
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+let jsonImport = null;
+
+// Record shapes checked before a backup is imported. A trailing '?' marks an
+// optional field; an array lists the allowed values.
+const IMPORT_SCHEMAS = {
+  entry: {
+    id: 'string',
+    type: ['income', 'expense', 'savings', 'transfer'],
+    category: 'string',
+    description: 'string?',
+    amount: 'number',
+    date: 'date',
+    currency: 'string?',
+    originalAmount: 'number?',
+    splits: 'array?',
+    goalAllocations: 'array?',
+    taxSections: 'array?'
+  },
+  goal: { id: 'string', title: 'string', targetAmount: 'number', targetDate: 'date?' },
+  loan: { id: 'string', name: 'string', principal: 'number', interestRate: 'number?', startDate: 'date?', prepayments: 'array?', isHomeLoan: 'boolean?' },
+  recurring: {
+    id: 'string',
+    type: ['income', 'expense', 'savings'],
+    category: 'string',
+    amount: 'number',
+    frequency: 'string',
+    startDate: 'date',
+    endDate: 'date?'
+  },
+  account: { id: 'string', name: 'string', kind: Object.keys(ACCOUNT_KINDS), openingBalance: 'number?', creditLimit: 'number?' },
+  exchangeRate: { date: 'date', currency: 'string', rate: 'number' },
+  categoryRule: { id: 'string', category: 'string' }
+};
+
+// Collections merged record by record, keyed by id
+const MERGE_COLLECTIONS = [
+  { key: 'entries', label: 'entries', schema: 'entry' },
+  { key: 'goals', label: 'goals', schema: 'goal' },
+  { key: 'loans', label: 'loans', schema: 'loan' },
+  { key: 'recurring', label: 'recurring templates', schema: 'recurring' },
+  { key: 'accounts', label: 'accounts', schema: 'account' },
+  { key: 'categoryRules', label: 'category rules', schema: 'categoryRule' }
+];
+
+function getImportRecords(data, key) {
+  if (key === 'entries') return Object.values(data.entries).flat();
+  if (key === 'categoryRules') return data.settings.categoryRules;
+  return data[key];
+}
+
+function checkImportField(value, rule) {
+  if (value === undefined || value === null || value === '') {
+    return typeof rule === 'string' && rule.endsWith('?') ? null : 'is required';
+  }
+  if (Array.isArray(rule)) return rule.includes(value) ? null : `must be one of ${rule.join(', ')}`;
+
+  const kind = rule.replace('?', '');
+  if (kind === 'number') return Number.isFinite(value) ? null : 'must be a number';
+  if (kind === 'array') return Array.isArray(value) ? null : 'must be a list';
+  if (kind === 'date') {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value)) ? null : 'must be a date (YYYY-MM-DD)';
+  }
+  return typeof value === kind ? null : `must be a ${kind}`;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The containers have to be right before migrations can run over the file
+function validateImportStructure(data) {
+  const errors = [];
+  if (!isPlainObject(data)) return [{ path: '(file)', message: 'must be a budget backup object' }];
+
+  if (!isPlainObject(data.entries)) {
+    errors.push({ path: 'entries', message: 'must be an object of months' });
+  } else {
+    Object.entries(data.entries).forEach(([monthKey, list]) => {
+      if (!Array.isArray(list)) errors.push({ path: `entries.${monthKey}`, message: 'must be a list' });
+    });
+  }
+  if (data.settings !== undefined && !isPlainObject(data.settings)) {
+    errors.push({ path: 'settings', message: 'must be an object' });
+  }
+  ['goals', 'loans', 'recurring', 'accounts', 'exchangeRates', 'trash'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) errors.push({ path: key, message: 'must be a list' });
+  });
+  if (data.budgetLimits !== undefined && !isPlainObject(data.budgetLimits)) {
+    errors.push({ path: 'budgetLimits', message: 'must be an object' });
+  } else {
+    ['carried', 'overrides'].forEach(bucket => {
+      const months = data.budgetLimits?.[bucket];
+      if (months !== undefined && !isPlainObject(months)) {
+        errors.push({ path: `budgetLimits.${bucket}`, message: 'must be an object of months' });
+      }
+    });
+  }
+  if (errors.length) return errors;
+
+  Object.entries(data.entries).forEach(([monthKey, list]) => {
+    list.forEach((e, i) => {
+      if (!isPlainObject(e)) errors.push({ path: `entries.${monthKey}[${i}]`, message: 'must be an object' });
+    });
+  });
+  ['goals', 'loans', 'recurring', 'accounts', 'exchangeRates'].forEach(key => {
+    (data[key] || []).forEach((record, i) => {
+      if (!isPlainObject(record)) errors.push({ path: `${key}[${i}]`, message: 'must be an object' });
+    });
+  });
+  return errors;
+}
+
+// Field-level check of a migrated backup. Returns one { path, message } per problem.
+function validateImportData(data) {
+  const errors = [];
+  const checkRecords = (list, schema, path, ids = new Set()) => {
+    list.forEach((record, i) => {
+      Object.entries(IMPORT_SCHEMAS[schema]).forEach(([field, rule]) => {
+        const message = checkImportField(record[field], rule);
+        if (message) errors.push({ path: `${path(i)}.${field}`, message });
+      });
+      if (record.id && ids.has(record.id)) errors.push({ path: `${path(i)}.id`, message: 'is used by another record' });
+      ids.add(record.id);
+    });
+  };
+
+  // Entry ids have to be unique across months, not just within one
+  const entryIds = new Set();
+  Object.entries(data.entries).forEach(([monthKey, list]) => {
+    checkRecords(list, 'entry', i => `entries.${monthKey}[${i}]`, entryIds);
+  });
+  Object.entries({ goals: 'goal', loans: 'loan', recurring: 'recurring', accounts: 'account' }).forEach(([key, schema]) => {
+    checkRecords(data[key], schema, i => `${key}[${i}]`);
+  });
+  checkRecords(data.exchangeRates, 'exchangeRate', i => `exchangeRates[${i}]`);
+
+  ['expenseCategories', 'savingsCategories'].forEach(key => {
+    const list = data.settings[key];
+    if (!Array.isArray(list) || list.some(c => typeof c !== 'string')) {
+      errors.push({ path: `settings.${key}`, message: 'must be a list of names' });
+    }
+  });
+  if (!Array.isArray(data.trash)) errors.push({ path: 'trash', message: 'must be a list' });
+  ['carried', 'overrides'].forEach(bucket => {
+    Object.entries(data.budgetLimits[bucket]).forEach(([monthKey, limits]) => {
+      const path = `budgetLimits.${bucket}.${monthKey}`;
+      if (!isPlainObject(limits)) {
+        errors.push({ path, message: 'must be an object of categories' });
+        return;
+      }
+      Object.entries(limits).forEach(([category, limit]) => {
+        if (limit !== null && !Number.isFinite(limit)) errors.push({ path: `${path}.${category}`, message: 'must be a number or null' });
+      });
+    });
+  });
+  if (!Array.isArray(data.settings.categoryRules)) {
+    errors.push({ path: 'settings.categoryRules', message: 'must be a list' });
+  } else {
+    checkRecords(data.settings.categoryRules, 'categoryRule', i => `settings.categoryRules[${i}]`);
+  }
+  return errors;
+}
+
+function getRecordTime(record) {
+  return record.updatedAt || record.createdAt || '';
+}
+
+function isEditedRecord(record) {
+  return Boolean(record.updatedAt) && record.updatedAt !== record.createdAt;
+}
+
+// Compares imported records with the local ones by id. The copy updated last
+// wins and a tie keeps the local copy. It is only a conflict when both copies
+// were edited after they were created; `winner` says which one is kept.
+function diffRecords(localList, importedList) {
+  const localById = new Map(localList.map(r => [r.id, r]));
+  const diff = { added: [], updated: [], conflicts: [], unchanged: 0 };
+  importedList.forEach(record => {
+    const local = localById.get(record.id);
+    if (!local) {
+      diff.added.push(record);
+      return;
+    }
+    if (JSON.stringify(local) === JSON.stringify(record)) {
+      diff.unchanged++;
+      return;
+    }
+    const importedWins = getRecordTime(record) > getRecordTime(local);
+    if (isEditedRecord(local) && isEditedRecord(record)) {
+      diff.conflicts.push({ local, imported: record, winner: importedWins ? 'imported' : 'local' });
+    } else if (importedWins) {
+      diff.updated.push(record);
+    } else {
+      diff.unchanged++;
+    }
+  });
+  return diff;
+}
+
+// Imported copies that replace local ones: plain updates and won conflicts
+function getMergeReplacements(diff) {
+  return [...diff.updated, ...diff.conflicts.filter(c => c.winner === 'imported').map(c => c.imported)];
+}
+
+function planJsonMerge(imported) {
+  const plan = {};
+  MERGE_COLLECTIONS.forEach(({ key }) => {
+    plan[key] = diffRecords(getImportRecords(store, key), getImportRecords(imported, key));
+  });
+  return plan;
+}
+
+function applyJsonMerge(imported, plan) {
+  const incoming = [...plan.entries.added, ...getMergeReplacements(plan.entries)];
+  const incomingIds = new Set(incoming.map(e => e.id));
+  Object.keys(store.entries).forEach(monthKey => {
+    store.entries[monthKey] = store.entries[monthKey].filter(e => !incomingIds.has(e.id));
+  });
+  incoming.forEach(e => {
+    const key = getMonthKey(e.date);
+    if (!store.entries[key]) store.entries[key] = [];
+    store.entries[key].push(e);
+  });
+
+  MERGE_COLLECTIONS.filter(c => c.key !== 'entries').forEach(({ key }) => {
+    const list = getImportRecords(store, key);
+    getMergeReplacements(plan[key]).forEach(record => {
+      list[list.findIndex(r => r.id === record.id)] = record;
+    });
+    list.push(...plan[key].added);
+  });
+
+  ['expenseCategories', 'savingsCategories'].forEach(key => {
+    store.settings[key] = Array.from(new Set([...store.settings[key], ...imported.settings[key]]));
+  });
+  // Rates are relative to a base currency, so only take them from a matching file
+  if (imported.settings.baseCurrency === getBaseCurrency()) {
+    imported.exchangeRates.forEach(r => setExchangeRate(r.date, r.currency, r.rate));
+  }
+  ['carried', 'overrides'].forEach(bucket => {
+    Object.entries(imported.budgetLimits[bucket]).forEach(([monthKey, limits]) => {
+      store.budgetLimits[bucket][monthKey] = {
+        ...(store.budgetLimits[bucket][monthKey] || {}),
+        ...limits
+      };
+    });
+  });
+}
+
+function describeRecord(record) {
+  return record.description || record.title || record.name || record.category || record.id;
+}
+
+function startJsonImport(file) {
+  const reader = new FileReader();
+  reader.onload = e => {
+    let imported;
+    try {
+      imported = JSON.parse(e.target.result);
+    } catch {
+      alert('Invalid JSON data.');
+      return;
+    }
+
+    if (isEncryptedBackup(imported)) {
+      showDecryptImportModal(file.name, imported);
+    } else {
+      prepareJsonImport(file.name, imported);
+    }
+  };
+  reader.readAsText(file);
+}
+
+function prepareJsonImport(fileName, imported) {
+  let errors = validateImportStructure(imported);
+  if (errors.length === 0) {
+    try {
+      migrateStore(imported);
+    } catch (err) {
+      hideModal();
+      alert(err.message);
+      return;
+    }
+    errors = validateImportData(imported);
+  }
+
+  jsonImport = { fileName, data: imported, errors, plan: errors.length ? null : planJsonMerge(imported) };
+  showJsonImportModal();
+}
+
+function showJsonImportModal() {
+  const { fileName, errors, plan } = jsonImport;
+
+  if (errors.length) {
+    const shown = errors.slice(0, 50);
+    showModal(`
+      <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+        <h3 class="text-2xl font-bold mb-2">Import Failed</h3>
+        <p class="text-sm text-gray-500 mb-6">${escapeHTML(fileName)} has ${errors.length} problem${errors.length === 1 ? '' : 's'}. Nothing was imported.</p>
+        <ul class="divide-y divide-gray-100 border border-gray-200 rounded-lg text-sm">
+          ${shown.map(err => `
+            <li class="px-3 py-2"><span class="font-mono text-gray-700">${escapeHTML(err.path)}</span> <span class="text-red-600">${err.message}</span></li>
+          `).join('')}
+        </ul>
+        ${errors.length > shown.length ? `<p class="mt-2 text-xs text-gray-500">…and ${errors.length - shown.length} more</p>` : ''}
+        <div class="flex gap-3 pt-6">
+          <button type="button" onclick="hideModal()" class="flex-1 px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+        </div>
+      </div>
+    `);
+    return;
+  }
+
+  const e = plan.entries;
+  const conflicts = MERGE_COLLECTIONS.flatMap(c => plan[c.key].conflicts.map(conflict => ({ ...conflict, label: c.label })));
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">Import Backup</h3>
+      <p class="text-sm text-gray-500 mb-6">
+        ${escapeHTML(fileName)} • ${e.added.length} new entr${e.added.length === 1 ? 'y' : 'ies'}, ${e.updated.length} updated, ${e.conflicts.length} conflict${e.conflicts.length === 1 ? '' : 's'}
+      </p>
+      <div class="overflow-x-auto border border-gray-200 rounded-lg">
+        <table class="w-full text-sm">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-3 py-2 text-left font-medium text-gray-600">Records</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">New</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Updated</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Conflicts</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Unchanged</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${MERGE_COLLECTIONS.map(c => `
+              <tr class="border-t border-gray-100">
+                <td class="px-3 py-2 capitalize">${c.label}</td>
+                <td class="px-3 py-2 text-right">${plan[c.key].added.length}</td>
+                <td class="px-3 py-2 text-right">${plan[c.key].updated.length}</td>
+                <td class="px-3 py-2 text-right ${plan[c.key].conflicts.length ? 'text-accent-600 font-semibold' : ''}">${plan[c.key].conflicts.length}</td>
+                <td class="px-3 py-2 text-right text-gray-500">${plan[c.key].unchanged}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${conflicts.length ? `
+        <div class="mt-4 p-3 bg-yellow-50 rounded-lg text-sm">
+          <div class="font-medium text-yellow-800 mb-1">Changed in both places. The copy changed last is kept:</div>
+          <ul class="text-yellow-800 space-y-0.5">
+            ${conflicts.slice(0, 10).map(c => `<li>• ${escapeHTML(describeRecord(c.local))} <span class="text-yellow-700">(${c.label}) • ${c.winner === 'imported' ? 'using imported' : 'kept local'}</span></li>`).join('')}
+          </ul>
+          ${conflicts.length > 10 ? `<div class="text-xs text-yellow-700 mt-1">…and ${conflicts.length - 10} more</div>` : ''}
+        </div>
+      ` : ''}
+      <p class="mt-4 text-sm text-gray-600">Merge adds new records and takes the file's copy where it is newer. Replace discards everything stored in this browser.</p>
+      <div class="flex gap-3 pt-6">
+        <button type="button" id="jsonMergeBtn" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Merge</button>
+        <button type="button" id="jsonReplaceBtn" class="px-6 py-3 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 font-medium transition-colors">Replace All</button>
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('jsonMergeBtn').addEventListener('click', () => commitJsonImport(true));
+  document.getElementById('jsonReplaceBtn').addEventListener('click', () => commitJsonImport(false));
+}
+
+function commitJsonImport(merge) {
+  const { data, plan } = jsonImport;
+  jsonImport = null;
+  hideModal();
+  Promise.resolve()
+    // Replacing keeps a copy of the current data first, as a schema upgrade does
+    .then(() => merge ? null : backupStore(JSON.stringify(store), 'before-import'))
+    .then(() => {
+      if (merge) {
+        applyJsonMerge(data, plan);
+      } else {
+        store = data;
+      }
+      // Reloading before the write finishes would lose it
+      return saveStore(store);
+    })
+    .then(saved => {
+      if (!saved) return;
+      alert('Import successful!');
+      location.reload();
+    })
+    .catch(err => alert(`Import failed: ${err.message}`));
+}
+
+// ---------- Bank Statement CSV Import ----------
+let csvImport = null;
+
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(c => c !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(c => c !== '')) rows.push(row);
+  return rows;
+}
+
+// Bank exports usually start with account details before the real header row
+function findCsvHeaderRow(rows) {
+  const idx = rows.findIndex(r =>
+    r.some(c => /date/i.test(c)) &&
+    r.some(c => /narration|description|particulars|remarks|details/i.test(c))
+  );
+  return idx === -1 ? 0 : idx;
+}
+
+function guessCsvColumnMapping(headers) {
+  const find = pattern => headers.findIndex(h => pattern.test(h));
+  return {
+    date: find(/date/i),
+    description: find(/narration|description|particulars|remarks|details/i),
+    debit: find(/debit|withdrawal|dr\b/i),
+    credit: find(/credit|deposit|cr\b/i)
+  };
+}
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Returns a 'YYYY-MM-DD' string, or null when the value is not a valid date.
+// `format` gives the field order: 'dmy' (dd/mm/yyyy), 'mdy' or 'ymd'.
+// Separators may be '/', '-', '.' or spaces, and months may be names (01-Jan-24).
+function parseStatementDate(value, format = 'dmy') {
+  const parts = String(value).trim().split(/[\/\-. ]+/);
+  if (parts.length < 3) return null;
+
+  const fields = {};
+  format.split('').forEach((f, i) => { fields[f] = parts[i]; });
+
+  let month = Number(fields.m);
+  if (isNaN(month)) month = MONTH_ABBREVIATIONS.indexOf(fields.m.slice(0, 3).toLowerCase()) + 1;
+  let year = Number(fields.y);
+  if (fields.y.length === 2) year += 2000;
+  const day = Number(fields.d);
+
+  const date = new Date(year, month - 1, day);
+  if (!year || !month || !day || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return toISODate(date);
+}
+
+// Keeps the sign: a leading minus or brackets, e.g. (1,200.00), give a negative amount
+function parseStatementAmount(value) {
+  const text = String(value || '').trim();
+  const amount = parseFloat(text.replace(/[₹,\s()]|INR|Dr|Cr/gi, ''));
+  if (isNaN(amount)) return 0;
+  return /^\(.*\)$/.test(text) ? -Math.abs(amount) : amount;
+}
+
+function getEntryFingerprint(date, amount, description) {
+  return `${date}|${Number(amount).toFixed(2)}|${(description || '').trim().toLowerCase()}`;
+}
+
+function buildCsvImportRows(dataRows, mapping, dateFormat) {
+  const existing = new Set(
+    Object.values(store.entries)
+      .flat()
+      .map(e => getEntryFingerprint(e.date, e.amount, e.description))
+  );
+  const rows = [];
+  let unreadable = 0;
+
+  dataRows.forEach(cells => {
+    const date = parseStatementDate(cells[mapping.date] || '', dateFormat);
+    const debit = mapping.debit !== -1 && mapping.debit !== mapping.credit ? parseStatementAmount(cells[mapping.debit]) : 0;
+    const credit = mapping.credit !== -1 ? parseStatementAmount(cells[mapping.credit]) : 0;
+    // Money in is positive. A negative debit is a reversal, and a single signed
+    // amount column can be picked as the credit column (or as both).
+    const flow = credit - debit;
+    const amount = Math.abs(flow);
+
+    // Opening balance lines, totals and footers have no date or no amount
+    if (!date || !amount) {
+      unreadable++;
+      return;
+    }
+
+    const type = flow < 0 ? 'expense' : 'income';
+    const description = (cells[mapping.description] || '').replace(/\s+/g, ' ');
+    const duplicate = existing.has(getEntryFingerprint(date, amount, description));
+
+    rows.push({
+      date,
+      description,
+      amount,
+      type,
+      category: suggestCategory({ type, description, amount })?.category ||
+        (type === 'income' ? 'Others' : getDefaultImportCategory()),
+      duplicate,
+      include: !duplicate
+    });
+  });
+
+  return { rows, unreadable };
+}
+
+function getDefaultImportCategory() {
+  const categories = store.settings.expenseCategories;
+  return categories.includes('Miscellaneous') ? 'Miscellaneous' : categories[0];
+}
+
+function startCsvImport(file) {
+  const reader = new FileReader();
+  reader.onload = e => {
+    const rows = parseCSV(e.target.result);
+    if (rows.length < 2) {
+      alert('This file does not look like a CSV statement.');
+      return;
+    }
+    const headerIndex = findCsvHeaderRow(rows);
+    const headers = rows[headerIndex];
+    csvImport = {
+      fileName: file.name,
+      headers,
+      dataRows: rows.slice(headerIndex + 1),
+      mapping: guessCsvColumnMapping(headers),
+      dateFormat: 'dmy',
+      rows: []
+    };
+    showCsvMappingModal();
+  };
+  reader.readAsText(file);
+}
+
+function showCsvMappingModal() {
+  const { headers, dataRows, mapping, dateFormat } = csvImport;
+  const fields = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'description', label: 'Narration / Description', required: true },
+    { key: 'debit', label: 'Debit / Withdrawal', required: false },
+    { key: 'credit', label: 'Credit / Deposit', required: false }
+  ];
+
+  const columnOptions = selected => `
+    <option value="-1">— Not in file —</option>
+    ${headers.map((h, i) => `<option value="${i}" ${selected === i ? 'selected' : ''}>${escapeHTML(h || `Column ${i + 1}`)}</option>`).join('')}
+  `;
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-3xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">Import Bank Statement</h3>
+      <p class="text-sm text-gray-500 mb-6">${escapeHTML(csvImport.fileName)} • ${dataRows.length} rows. Match the statement columns below.</p>
+      <form id="csvMappingForm" class="space-y-4">
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          ${fields.map(f => `
+            <div class="field">
+              <label class="block text-sm font-medium text-gray-700 mb-2">${f.label}${f.required ? '' : ' (optional)'}</label>
+              <select name="${f.key}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+                ${columnOptions(mapping[f.key])}
+              </select>
+            </div>
+          `).join('')}
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Date Format</label>
+            <select name="dateFormat" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="dmy" ${dateFormat === 'dmy' ? 'selected' : ''}>dd/mm/yyyy</option>
+              <option value="mdy" ${dateFormat === 'mdy' ? 'selected' : ''}>mm/dd/yyyy</option>
+              <option value="ymd" ${dateFormat === 'ymd' ? 'selected' : ''}>yyyy-mm-dd</option>
+            </select>
+          </div>
+          ${renderAccountSelectField(csvImport.accountId, 'accountId', 'Statement Account')}
+        </div>
+        <div class="overflow-x-auto border border-gray-200 rounded-lg">
+          <table class="w-full text-xs">
+            <thead class="bg-gray-50">
+              <tr>${headers.map(h => `<th class="px-3 py-2 text-left font-medium text-gray-600 whitespace-nowrap">${escapeHTML(h)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+              ${dataRows.slice(0, 3).map(r => `
+                <tr class="border-t border-gray-100">${headers.map((_, i) => `<td class="px-3 py-2 whitespace-nowrap">${escapeHTML(r[i] || '')}</td>`).join('')}</tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Preview Import</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('csvMappingForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    fields.forEach(f => { csvImport.mapping[f.key] = Number(formData.get(f.key)); });
+    csvImport.dateFormat = formData.get('dateFormat');
+    csvImport.accountId = formData.get('accountId') || null;
+
+    const { date, description, debit, credit } = csvImport.mapping;
+    if (date === -1 || description === -1 || (debit === -1 && credit === -1)) {
+      alert('Please choose the date, description and at least one of the debit / credit columns.');
+      return;
+    }
+
+    const result = buildCsvImportRows(csvImport.dataRows, csvImport.mapping, csvImport.dateFormat);
+    csvImport.rows = result.rows;
+    csvImport.unreadable = result.unreadable;
+    showCsvPreviewModal();
+  });
+}
+
+function showCsvPreviewModal() {
+  const { rows, unreadable } = csvImport;
+  const duplicates = rows.filter(r => r.duplicate).length;
+  const expenseCategories = store.settings.expenseCategories;
+  const incomeCategories = ['Salary', 'Others'];
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-5xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">Preview Import</h3>
+      <p class="text-sm text-gray-500 mb-6">
+        ${rows.length} transactions found${duplicates ? ` • ${duplicates} already recorded (unticked)` : ''}${unreadable ? ` • ${unreadable} rows without a date or amount skipped` : ''}
+      </p>
+      ${rows.length === 0 ? '<div class="p-6 text-center text-gray-500">No transactions could be read. Go back and check the column mapping and date format.</div>' : `
+        <div class="overflow-x-auto border border-gray-200 rounded-lg">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-3 py-2"><input type="checkbox" id="csvToggleAll" checked></th>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Date</th>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Description</th>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Category</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map((r, i) => `
+                <tr class="border-t border-gray-100 ${r.duplicate ? 'bg-yellow-50' : ''}">
+                  <td class="px-3 py-2 text-center"><input type="checkbox" data-csv-row="${i}" ${r.include ? 'checked' : ''}></td>
+                  <td class="px-3 py-2 whitespace-nowrap">${parseISODate(r.date).toLocaleDateString('en-IN')}</td>
+                  <td class="px-3 py-2">
+                    ${escapeHTML(r.description)}
+                    ${r.duplicate ? '<div class="text-xs text-yellow-700">Possible duplicate</div>' : ''}
+                  </td>
+                  <td class="px-3 py-2">
+                    <select data-csv-category="${i}" class="px-2 py-1 border border-gray-300 rounded">
+                      ${[...new Set([r.category, ...(r.type === 'income' ? incomeCategories : expenseCategories)])].map(c => `<option value="${escapeHTML(c)}" ${r.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+                    </select>
+                  </td>
+                  <td class="px-3 py-2 text-right whitespace-nowrap font-semibold ${getEntryAmountClass(r)}">
+                    ${getEntrySign(r)} ${formatMoney(r.amount)}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+      <div class="flex gap-3 pt-6">
+        <button type="button" id="csvCommitBtn" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors" ${rows.length === 0 ? 'disabled' : ''}>Import Selected</button>
+        <button type="button" onclick="showCsvMappingModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Back</button>
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.querySelectorAll('[data-csv-row]').forEach(cb => {
+    cb.addEventListener('change', () => { rows[cb.dataset.csvRow].include = cb.checked; });
+  });
+  document.querySelectorAll('[data-csv-category]').forEach(sel => {
+    sel.addEventListener('change', () => { rows[sel.dataset.csvCategory].category = sel.value; });
+  });
+  document.getElementById('csvToggleAll')?.addEventListener('change', (e) => {
+    document.querySelectorAll('[data-csv-row]').forEach(cb => {
+      cb.checked = e.target.checked;
+      rows[cb.dataset.csvRow].include = e.target.checked;
+    });
+  });
+  document.getElementById('csvCommitBtn')?.addEventListener('click', commitCsvImport);
+}
+
+function commitCsvImport() {
+  const selected = csvImport.rows.filter(r => r.include);
+  if (selected.length === 0) {
+    alert('No transactions selected.');
+    return;
+  }
+
+  selected.forEach(r => {
+    const entry = {
+      type: r.type,
+      category: r.category,
+      description: r.description,
+      amount: r.amount,
+      date: r.date,
+      note: '',
+      accountId: csvImport.accountId || null
+    };
+    entry.taxSections = suggestTaxSections(entry);
+    addEntry(entry);
+  });
+
+  csvImport = null;
+  hideModal();
+  alert(`Imported ${selected.length} transactions.`);
+  if (activePage === 'budget') renderBudgetPage(currentBudgetMonth);
+}
+
+// ---------- Toasts ----------
+let toastTimer = null;
+
+// `action` is an optional { label, onClick } button shown next to the message
+function showToast(message, action = null) {
+  const root = document.getElementById('toastRoot');
+  if (!root) return;
+  clearTimeout(toastTimer);
+  root.innerHTML = `
+    <div class="flex items-center gap-4 bg-gray-900 text-white px-5 py-3 rounded-lg shadow-2xl">
+      <span class="text-sm">${escapeHTML(message)}</span>
+      ${action ? `<button type="button" id="toastAction" class="text-sm font-semibold text-accent-400 hover:text-accent-500">${escapeHTML(action.label)}</button>` : ''}
+    </div>
+  `;
+  root.classList.remove('hidden');
+  document.getElementById('toastAction')?.addEventListener('click', () => {
+    hideToast();
+    action.onClick();
+  });
+  toastTimer = setTimeout(hideToast, 6000);
+}
+
+function hideToast() {
+  const root = document.getElementById('toastRoot');
+  if (!root) return;
+  root.classList.add('hidden');
+  root.innerHTML = '';
+}
+
+// ---------- Modal System ----------
+function showModal(content) {
+  const modalRoot = document.getElementById('modalRoot');
+  modalRoot.innerHTML = content;
+  modalRoot.classList.remove('hidden');
+  modalRoot.classList.add('flex');
+}
+
+function hideModal() {
+  const modalRoot = document.getElementById('modalRoot');
+  modalRoot.classList.add('hidden');
+  modalRoot.classList.remove('flex');
+  modalRoot.innerHTML = '';
+}
+
+// ---------- Page Navigation ----------
+let activePage = 'home';
+
+function showPage(pageName) {
+  document.querySelectorAll('.page').forEach(page => {
+    page.classList.add('hidden');
+  });
+  
+  const targetPage = document.getElementById(`page-${pageName}`);
+  if (targetPage) {
+    targetPage.classList.remove('hidden');
+    activePage = pageName;
+  }
+  
+  document.querySelectorAll('.nav-btn').forEach(btn => {
+    btn.classList.remove('bg-white/20', 'shadow-sm');
+  });
+  
+  const activeBtn = document.querySelector(`[data-page="${pageName}"]`);
+  if (activeBtn) {
+    activeBtn.classList.add('bg-white/20', 'shadow-sm');
+  }
+  
+  if (pageName === 'home') {
+    homeActiveCategory = 'budget';
+    renderHomePage();
+    updateHomeOverviewCard();
+  } else if (pageName === 'budget') {
+    renderBudgetPage(currentBudgetMonth);
+  } else if (pageName === 'transactions') {
+    renderTransactionsPage();
+  } else if (pageName === 'reports') {
+    renderReportsPage();
+  } else if (pageName === 'accounts') {
+    renderAccountsPage();
+  } else if (pageName === 'savings') {
+    renderSavingsPage();
+  } else if (pageName === 'loans') {
+    renderLoansPage();
+  } else if (pageName === 'goals') {
+    renderGoalsPage();
+  } else if (pageName === 'settings') {
+    renderSettingsPage();
+  }
+}
+
+// ---------- Recent Transactions ----------
+function renderRecentTransactions() {
+  const list = document.getElementById('recentList');
+  if (!list) return;
+  
+  const txns = getRecentTransactions(10);
+  
+  if (txns.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No transactions yet. Add entries in the Budget page.</div>';
+    return;
+  }
+  
+  list.innerHTML = txns.map(t => `
+    <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+      <div class="flex-1">
+        <div class="font-medium text-gray-900">${escapeHTML(t.description || t.category)}</div>
+        <div class="text-sm text-gray-500">${new Date(t.date).toLocaleDateString('en-IN')} • ${escapeHTML(describeEntryCategory(t))}</div>
+      </div>
+      <div class="text-right">
+        <div class="font-semibold ${getEntryAmountClass(t)}">
+          ${getEntrySign(t)} ${formatEntryAmount(t)}
+        </div>
+        ${isForeignEntry(t) ? `<div class="text-xs text-gray-500">≈ ${formatMoney(t.amount)}</div>` : ''}
+        <div class="text-xs text-gray-500">${t.type}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+// ---------- Budget Page ----------
+let currentBudgetMonth = getMonthKey(new Date());
+
+function renderBudgetPage(monthKey) {
+  currentBudgetMonth = monthKey;
+  generateRecurringEntries();
+  const totals = getTotalsForMonth(monthKey);
+
+  document.getElementById('budgetMonthLabel').textContent = formatMonthLabel(monthKey);
+  document.getElementById('remainingBalance').textContent = formatMoney(totals.remaining);
+
+  renderEntriesList(monthKey);
+
+  // ⭐ NEW: Refresh summary table dynamically
+  renderBudgetSummary(monthKey);
+  renderCategoryLimits(monthKey);
+}
+
+
+function renderEntriesList(monthKey) {
+  const list = document.getElementById('entriesList');
+  const entries = store.entries[monthKey] || [];
+  const projected = getProjectedRecurringEntries(monthKey);
+  
+  if (entries.length === 0 && projected.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No entries for this month. Click "Add Entry" to start.</div>';
+    return;
+  }
+  
+  list.innerHTML = entries.map(e => `
+    <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+      <div class="flex-1">
+        <div class="font-medium text-gray-900">${escapeHTML(e.description || e.category)}${e.recurringId ? ' <span class="text-xs text-primary-700" title="Recurring entry">↻</span>' : ''}</div>
+        <div class="text-sm text-gray-500">${new Date(e.date).toLocaleDateString('en-IN')} • ${escapeHTML(describeEntryCategory(e))}${e.loanId ? ` • ${escapeHTML(store.loans.find(l => l.id === e.loanId)?.name || 'Loan')} repayment` : ''}</div>
+        ${e.note ? `<div class="text-xs text-gray-400 mt-1">${escapeHTML(e.note)}</div>` : ''}
+      </div>
+      <div class="flex items-center gap-3">
+        <div class="text-right">
+          <div class="font-semibold ${getEntryAmountClass(e)}">
+            ${getEntrySign(e)} ${formatEntryAmount(e)}
+          </div>
+          ${isForeignEntry(e) ? `<div class="text-xs text-gray-500">≈ ${formatMoney(e.amount)}</div>` : ''}
+          <div class="text-xs text-gray-500">${e.type}</div>
+        </div>
+        <div class="flex gap-1">
+          <button onclick="editEntry('${e.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+            </svg>
+          </button>
+          <button onclick="confirmDeleteEntry('${e.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    </div>
+  `).join('') + projected.map(e => `
+    <div class="flex items-center justify-between p-4 opacity-60" title="Not booked yet">
+      <div class="flex-1">
+        <div class="font-medium text-gray-900">${escapeHTML(e.description || e.category)} <span class="text-xs text-primary-700">↻ Projected</span></div>
+        <div class="text-sm text-gray-500">${new Date(e.date).toLocaleDateString('en-IN')} • ${escapeHTML(describeEntryCategory(e))}</div>
+      </div>
+      <div class="text-right pr-2">
+        <div class="font-semibold ${getEntryAmountClass(e)}">
+          ${getEntrySign(e)} ${formatEntryAmount(e)}
+        </div>
+        <div class="text-xs text-gray-500">${e.type}</div>
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderSplitLine(line, categories) {
+  return `
+    <div class="flex gap-2" data-split-line>
+      <select data-split-category class="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        ${categories.map(c => `<option value="${escapeHTML(c)}" ${line.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+      </select>
+      <input type="number" data-split-amount step="0.01" min="0" value="${line.amount ?? ''}" class="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+      <button type="button" data-split-remove class="px-3 text-red-600 hover:bg-red-50 rounded" aria-label="Remove line">✕</button>
+    </div>
+  `;
+}
+
+function renderSplitEditor(splits, categories) {
+  const active = Boolean(splits && splits.length);
+  return `
+        <div class="field">
+          <button type="button" id="splitToggle" class="text-sm font-medium text-primary-700 hover:underline">${active ? 'Use a single category' : 'Split across categories'}</button>
+          <div id="splitEditor" class="${active ? '' : 'hidden'} mt-3 space-y-2">
+            <div id="splitLines" class="space-y-2">
+              ${(splits || []).map(line => renderSplitLine(line, categories)).join('')}
+            </div>
+            <div class="flex items-center justify-between">
+              <button type="button" id="addSplitLine" class="text-sm font-medium text-primary-700 hover:underline">+ Add line</button>
+              <span id="splitRemaining" class="text-sm text-gray-500"></span>
+            </div>
+          </div>
+        </div>
+  `;
+}
+
+// Wires up the editor rendered by renderSplitEditor. While splitting, the
+// single-category field is disabled so it neither validates nor submits.
+function bindSplitEditor(categoryField, amountInput, getCategories) {
+  const toggle = document.getElementById('splitToggle');
+  const editor = document.getElementById('splitEditor');
+  const lines = document.getElementById('splitLines');
+  const remaining = document.getElementById('splitRemaining');
+  const currencySelect = amountInput.form.querySelector('[name="currency"]');
+
+  const isActive = () => !editor.classList.contains('hidden');
+  const getSplits = () => [...lines.querySelectorAll('[data-split-line]')].map(row => ({
+    category: row.querySelector('[data-split-category]').value,
+    amount: parseFloat(row.querySelector('[data-split-amount]').value) || 0
+  }));
+  const addLine = (line = {}) => lines.insertAdjacentHTML('beforeend', renderSplitLine(line, getCategories()));
+
+  const updateRemaining = () => {
+    const left = (parseFloat(amountInput.value) || 0) - getSplits().reduce((sum, line) => sum + line.amount, 0);
+    const balanced = Math.abs(left) < 0.005;
+    const currency = currencySelect ? currencySelect.value : getBaseCurrency();
+    remaining.textContent = balanced
+      ? 'Fully allocated'
+      : `${left > 0 ? 'Left to allocate' : 'Over by'} ${formatMoney(Math.abs(left), currency)}`;
+    remaining.classList.toggle('text-red-600', !balanced);
+  };
+
+  const setActive = (active) => {
+    editor.classList.toggle('hidden', !active);
+    categoryField.classList.toggle('hidden', active);
+    categoryField.querySelectorAll('select, input').forEach(el => { el.disabled = active; });
+    toggle.textContent = active ? 'Use a single category' : 'Split across categories';
+    if (active && lines.children.length === 0) {
+      const category = categoryField.querySelector('select').value;
+      addLine({ category, amount: parseFloat(amountInput.value) || '' });
+      addLine();
+    }
+    updateRemaining();
+  };
+
+  toggle.addEventListener('click', () => setActive(!isActive()));
+  document.getElementById('addSplitLine').addEventListener('click', () => {
+    addLine();
+    updateRemaining();
+  });
+  lines.addEventListener('input', updateRemaining);
+  lines.addEventListener('click', (e) => {
+    if (e.target.closest('[data-split-remove]')) {
+      e.target.closest('[data-split-line]').remove();
+      updateRemaining();
+    }
+  });
+  amountInput.addEventListener('input', updateRemaining);
+  currencySelect?.addEventListener('change', updateRemaining);
+
+  if (isActive()) setActive(true);
+
+  return {
+    isActive,
+    getSplits,
+    // Re-populate the line pickers after the entry type changes
+    refreshCategories() {
+      lines.querySelectorAll('[data-split-category]').forEach(select => {
+        const current = select.value;
+        select.innerHTML = getCategories().map(c => `<option value="${escapeHTML(c)}" ${current === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('');
+      });
+    }
+  };
+}
+
+function renderTaxSectionField(selected = []) {
+  return `
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Tax Deductions (optional)</label>
+          <div id="taxSectionOptions" class="flex flex-wrap gap-x-5 gap-y-2">
+            ${Object.entries(TAX_SECTIONS).map(([code, section]) => `
+              <label class="flex items-center gap-2 text-sm text-gray-700" title="${section.description}">
+                <input type="checkbox" name="taxSections" value="${code}" ${selected.includes(code) ? 'checked' : ''} class="rounded border-gray-300 focus:ring-primary-500">
+                ${code}
+              </label>
+            `).join('')}
+          </div>
+          <div id="taxSectionHint" class="hidden mt-2 text-xs text-primary-700"></div>
+        </div>
+  `;
+}
+
+// Wires up the field rendered by renderTaxSectionField. The boxes follow the
+// suggestion for whatever the form currently describes until the user ticks
+// or clears one.
+function bindTaxSectionField(form, getEntry, touched = false) {
+  const options = document.getElementById('taxSectionOptions');
+  const hint = document.getElementById('taxSectionHint');
+
+  const refresh = () => {
+    const suggested = suggestTaxSections(getEntry());
+    hint.textContent = `Suggested: ${suggested.join(', ')}`;
+    hint.classList.toggle('hidden', suggested.length === 0);
+    if (touched) return;
+    options.querySelectorAll('input').forEach(input => { input.checked = suggested.includes(input.value); });
+  };
+
+  options.addEventListener('change', () => { touched = true; });
+  ['input', 'change'].forEach(type => form.addEventListener(type, (e) => {
+    if (!options.contains(e.target)) refresh();
+  }));
+  refresh();
+
+  return {
+    getSections: () => [...options.querySelectorAll('input:checked')].map(input => input.value)
+  };
+}
+
+function showAddEntryModal(prefill = {}) {
+  const incomeCategories = ['Salary', 'Others'];
+  const initialType = prefill.type || 'expense';
+  
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-6">Add Entry</h3>
+      <form id="entryForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
+          <select name="type" id="entryType" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            <option value="expense" ${initialType === 'expense' ? 'selected' : ''}>Expense</option>
+            <option value="income" ${initialType === 'income' ? 'selected' : ''}>Income</option>
+            <option value="savings" ${initialType === 'savings' ? 'selected' : ''}>Savings</option>
+          </select>
+        </div>
+        <div class="field" id="categoryField">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Category</label>
+          <select name="category" id="categorySelect" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            ${getCategoriesForType(initialType).map(c => `<option value="${escapeHTML(c)}" ${prefill.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+          </select>
+          <div id="customCategoryContainer" class="hidden mt-2">
+            <input type="text" id="customCategory" name="customCategory" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Enter custom category">
+          </div>
+          <div id="categorySuggestion" class="hidden mt-2 text-xs text-primary-700"></div>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
+          <input type="text" name="description" value="${escapeHTML(prefill.description || '')}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Monthly rent payment">
+        </div>
+        ${renderAmountField(prefill.amount, prefill.currency)}
+        ${renderSplitEditor(prefill.splits, getCategoriesForType(initialType))}
+        ${renderLoanSelectField(prefill.loanId, initialType !== 'expense')}
+        ${renderAccountSelectField(prefill.accountId)}
+        ${renderTaxSectionField(prefill.taxSections)}
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
+          <input type="date" name="date" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${new Date().toISOString().split('T')[0]}">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
+          <textarea name="note" rows="3" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Additional notes..."></textarea>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Add Entry</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+  
+  showModal(modal);
+  
+  const typeSelect = document.getElementById('entryType');
+  const categorySelect = document.getElementById('categorySelect');
+  const customCategoryContainer = document.getElementById('customCategoryContainer');
+  const customCategoryInput = document.getElementById('customCategory');
+  const suggestionHint = document.getElementById('categorySuggestion');
+  const descriptionInput = document.querySelector('#entryForm [name="description"]');
+  const amountInput = document.querySelector('#entryForm [name="amount"]');
+  let categoryTouched = Boolean(prefill.category);
+  const splitEditor = bindSplitEditor(
+    document.getElementById('categoryField'),
+    amountInput,
+    () => getCategoriesForType(typeSelect.value)
+  );
+  const entryForm = document.getElementById('entryForm');
+  const taxField = bindTaxSectionField(entryForm, () => ({
+    category: categorySelect.value,
+    splits: splitEditor.isActive() ? splitEditor.getSplits() : null,
+    loanId: typeSelect.value === 'expense' ? entryForm.querySelector('[name="loanId"]')?.value : null
+  }), Boolean(prefill.taxSections));
+  
+  typeSelect.addEventListener('change', function() {
+    updateCategoryOptions(this.value);
+    splitEditor.refreshCategories();
+    toggleLoanField(this.value);
+    applySuggestedCategory();
+  });
+  
+  descriptionInput.addEventListener('input', applySuggestedCategory);
+  amountInput.addEventListener('input', applySuggestedCategory);
+  
+  // Pre-select the category from the first matching rule until the user picks one
+  function applySuggestedCategory() {
+    const rule = suggestCategory({
+      type: typeSelect.value,
+      description: descriptionInput.value,
+      amount: parseFloat(amountInput.value)
+    });
+    const hasOption = rule && [...categorySelect.options].some(o => o.value === rule.category);
+    
+    if (!hasOption) {
+      suggestionHint.classList.add('hidden');
+      return;
+    }
+    suggestionHint.textContent = `Suggested by rule: ${rule.category}`;
+    suggestionHint.classList.remove('hidden');
+    if (!categoryTouched) categorySelect.value = rule.category;
+  }
+  
+  categorySelect.addEventListener('change', function() {
+    categoryTouched = true;
+    if (typeSelect.value === 'income' && this.value === 'Others') {
+      customCategoryContainer.classList.remove('hidden');
+      customCategoryInput.required = true;
+    } else {
+      customCategoryContainer.classList.add('hidden');
+      customCategoryInput.required = false;
+    }
+  });
+  
+  function updateCategoryOptions(type) {
+    const currentValue = categorySelect.value;
+    
+    if (type === 'income') {
+      categorySelect.innerHTML = incomeCategories.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+      
+      if (currentValue === 'Others') {
+        customCategoryContainer.classList.remove('hidden');
+        customCategoryInput.required = true;
+      }
+    } else {
+      categorySelect.innerHTML = getCategoriesForType(type).map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+      customCategoryContainer.classList.add('hidden');
+      customCategoryInput.required = false;
+    }
+  }
+  
+  document.getElementById('entryForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    
+    let category = formData.get('category');
+    const splits = splitEditor.isActive() ? splitEditor.getSplits() : null;
+    
+    if (splits) {
+      const error = validateSplits(splits, parseFloat(formData.get('amount')));
+      if (error) {
+        alert(error);
+        return;
+      }
+      category = SPLIT_CATEGORY;
+    } else if (typeSelect.value === 'income' && category === 'Others' && customCategoryInput.value.trim()) {
+      category = customCategoryInput.value.trim();
+      addCustomCategory(category);
+    }
+    
+    const amountFields = convertEntryAmount(parseFloat(formData.get('amount')), formData.get('currency'), formData.get('date'));
+    if (!amountFields) {
+      alert(`No ${formData.get('currency')} exchange rate on or before this date. Add one in Settings first.`);
+      return;
+    }
+    
+    const entry = {
+      type: formData.get('type'),
+      category: category,
+      ...(splits ? { splits } : {}),
+      description: formData.get('description'),
+      ...amountFields,
+      date: formData.get('date'),
+      note: formData.get('note'),
+      loanId: formData.get('type') === 'expense' ? formData.get('loanId') || null : null,
+      accountId: formData.get('accountId') || null,
+      taxSections: taxField.getSections()
+    };
+    addEntry(entry);
+    hideModal();
+    if (entry.loanId && activePage === 'loans') {
+      renderLoansPage();
+    } else {
+      renderBudgetPage(currentBudgetMonth);
+    }
+  });
+}
+
+function editEntry(id) {
+  let entry;
+  for (const arr of Object.values(store.entries)) {
+    entry = arr.find(e => e.id === id);
+    if (entry) break;
+  }
+  if (!entry) return;
+  if (entry.type === 'transfer') {
+    showTransferModal(id);
+    return;
+  }
+  
+  const incomeCategories = ['Salary', 'Others'];
+  
+  const isCustomIncome = entry.type === 'income' && !incomeCategories.includes(entry.category);
+  const selectedCategory = isCustomIncome ? 'Others' : entry.category;
+  
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-6">Edit Entry</h3>
+      <form id="editEntryForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
+          <select name="type" id="editEntryType" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            <option value="expense" ${entry.type === 'expense' ? 'selected' : ''}>Expense</option>
+            <option value="income" ${entry.type === 'income' ? 'selected' : ''}>Income</option>
+            <option value="savings" ${entry.type === 'savings' ? 'selected' : ''}>Savings</option>
+          </select>
+        </div>
+        <div class="field" id="editCategoryField">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Category</label>
+          <select name="category" id="editCategorySelect" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            ${entry.type === 'income' 
+              ? incomeCategories.map(c => `<option value="${escapeHTML(c)}" ${selectedCategory === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')
+              : getCategoriesForType(entry.type).map(c => `<option value="${escapeHTML(c)}" ${entry.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')
+            }
+          </select>
+          <div id="editCustomCategoryContainer" class="${isCustomIncome ? '' : 'hidden'} mt-2">
+            <input type="text" id="editCustomCategory" name="customCategory" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Enter custom category" value="${isCustomIncome ? escapeHTML(entry.category) : ''}">
+          </div>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
+          <input type="text" name="description" value="${escapeHTML(entry.description || '')}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        ${renderAmountField(isForeignEntry(entry) ? entry.originalAmount : entry.amount, entry.currency)}
+        ${renderSplitEditor(entry.splits, getCategoriesForType(entry.type))}
+        ${renderLoanSelectField(entry.loanId, entry.type !== 'expense')}
+        ${renderAccountSelectField(entry.accountId)}
+        ${renderTaxSectionField(entry.taxSections || [])}
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
+          <input type="date" name="date" value="${entry.date}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
+          <textarea name="note" rows="3" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">${escapeHTML(entry.note || '')}</textarea>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Update Entry</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+  
+  showModal(modal);
+  
+  const typeSelect = document.getElementById('editEntryType');
+  const categorySelect = document.getElementById('editCategorySelect');
+  const customCategoryContainer = document.getElementById('editCustomCategoryContainer');
+  const customCategoryInput = document.getElementById('editCustomCategory');
+  const splitEditor = bindSplitEditor(
+    document.getElementById('editCategoryField'),
+    document.querySelector('#editEntryForm [name="amount"]'),
+    () => getCategoriesForType(typeSelect.value)
+  );
+  const editForm = document.getElementById('editEntryForm');
+  // Entries from before tagging start out with the suggestion ticked
+  const taxField = bindTaxSectionField(editForm, () => ({
+    category: categorySelect.value,
+    splits: splitEditor.isActive() ? splitEditor.getSplits() : null,
+    loanId: typeSelect.value === 'expense' ? editForm.querySelector('[name="loanId"]')?.value : null
+  }), entry.taxSections !== undefined);
+  
+  typeSelect.addEventListener('change', function() {
+    updateCategoryOptions(this.value);
+    splitEditor.refreshCategories();
+    toggleLoanField(this.value);
+  });
+  
+  categorySelect.addEventListener('change', function() {
+    if (typeSelect.value === 'income' && this.value === 'Others') {
+      customCategoryContainer.classList.remove('hidden');
+      customCategoryInput.required = true;
+    } else {
+      customCategoryContainer.classList.add('hidden');
+      customCategoryInput.required = false;
+    }
+  });
+  
+  function updateCategoryOptions(type) {
+    if (type === 'income') {
+      categorySelect.innerHTML = incomeCategories.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+      
+      if (categorySelect.value === 'Others') {
+        customCategoryContainer.classList.remove('hidden');
+        customCategoryInput.required = true;
+      }
+    } else {
+      categorySelect.innerHTML = getCategoriesForType(type).map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('');
+      customCategoryContainer.classList.add('hidden');
+      customCategoryInput.required = false;
+    }
+  }
+  
+  document.getElementById('editEntryForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    
+    let category = formData.get('category');
+    const splits = splitEditor.isActive() ? splitEditor.getSplits() : null;
+    
+    if (splits) {
+      const error = validateSplits(splits, parseFloat(formData.get('amount')));
+      if (error) {
+        alert(error);
+        return;
+      }
+      category = SPLIT_CATEGORY;
+    } else if (typeSelect.value === 'income' && category === 'Others' && customCategoryInput.value.trim()) {
+      category = customCategoryInput.value.trim();
+      addCustomCategory(category);
+    }
+    
+    const amountFields = convertEntryAmount(parseFloat(formData.get('amount')), formData.get('currency'), formData.get('date'));
+    if (!amountFields) {
+      alert(`No ${formData.get('currency')} exchange rate on or before this date. Add one in Settings first.`);
+      return;
+    }
+    
+    const updates = {
+      type: formData.get('type'),
+      category: category,
+      splits,
+      description: formData.get('description'),
+      ...amountFields,
+      date: formData.get('date'),
+      note: formData.get('note'),
+      loanId: formData.get('type') === 'expense' ? formData.get('loanId') || null : null,
+      accountId: formData.get('accountId') || null,
+      taxSections: taxField.getSections()
+    };
+    updateEntry(id, updates);
+    hideModal();
+    refreshEntryViews();
+  });
+}
+
+function renderCategoryLimits(monthKey) {
+  const container = document.getElementById('categoryLimitsList');
+  if (!container) return;
+
+  const status = getCategoryBudgetStatus(monthKey);
+
+  if (status.length === 0) {
+    container.innerHTML = '<div class="p-6 text-center text-gray-500">No category limits set. Click "Set Limits" to add monthly limits.</div>';
+    return;
+  }
+
+  const overspent = status.filter(s => s.isOver);
+
+  container.innerHTML = `
+    ${overspent.length > 0 ? `
+      <div class="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+        ⚠️ Over budget in ${overspent.length} ${overspent.length === 1 ? 'category' : 'categories'}:
+        ${overspent.map(s => `${escapeHTML(s.category)} (${formatMoney(-s.remaining)} over)`).join(', ')}
+      </div>
+    ` : ''}
+    <div class="divide-y divide-gray-100">
+      ${status.map(s => `
+        <div class="py-3">
+          <div class="flex items-center justify-between mb-1">
+            <div class="font-medium text-gray-900">${s.isOver ? '⚠️ ' : ''}${escapeHTML(s.category)}</div>
+            <div class="text-sm ${s.isOver ? 'text-red-600 font-semibold' : 'text-gray-600'}">
+              ${formatMoney(s.spent)} / ${formatMoney(s.limit)}
+            </div>
+          </div>
+          <div class="w-full bg-gray-200 rounded-full h-2.5">
+            <div class="${s.isOver ? 'bg-red-500' : s.percent >= 80 ? 'bg-accent-500' : 'bg-green-500'} h-2.5 rounded-full transition-all" style="width: ${Math.min(s.percent, 100)}%"></div>
+          </div>
+          <div class="flex justify-between text-xs text-gray-500 mt-1">
+            <span>${s.percent.toFixed(1)}% used</span>
+            <span class="${s.isOver ? 'text-red-600' : ''}">
+              ${s.isOver ? `${formatMoney(-s.remaining)} over` : `${formatMoney(s.remaining)} left`}
+            </span>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function showCategoryLimitsModal() {
+  const monthKey = currentBudgetMonth;
+  const categories = store.settings.expenseCategories;
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">Category Limits</h3>
+      <p class="text-sm text-gray-500 mb-6">Monthly limits for ${formatMonthLabel(monthKey)}. Leave blank for no limit.</p>
+      <form id="categoryLimitsForm" class="space-y-4">
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          ${categories.map(c => {
+            const limit = getCategoryLimit(c, monthKey);
+            return `
+              <div class="field">
+                <label class="block text-sm font-medium text-gray-700 mb-2">${escapeHTML(c)}</label>
+                <input type="number" name="${escapeHTML(c)}" step="0.01" min="0" value="${limit ?? ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="No limit">
               </div>
-              <div>
-                <div class="text-xs text-gray-500">Target Date</div>
-                <div class="font-semibold ${isOverdue ? 'text-red-600' : 'text-gray-900'}">
-                  ${targetDate.toLocaleDateString('en-IN')}
+            `;
+          }).join('')}
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Apply changes</label>
+          <select name="scope" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            <option value="carried">From ${formatMonthLabel(monthKey)} onward</option>
+            <option value="month">Only for ${formatMonthLabel(monthKey)}</option>
+          </select>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Save Limits</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('categoryLimitsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const onlyThisMonth = formData.get('scope') === 'month';
+
+    categories.forEach(c => {
+      const value = formData.get(c);
+      const amount = value === '' ? null : parseFloat(value);
+      // Only touch categories the user actually changed
+      if (amount !== getCategoryLimit(c, monthKey)) {
+        setCategoryLimit(c, amount, monthKey, onlyThisMonth);
+      }
+    });
+    hideModal();
+    renderBudgetPage(currentBudgetMonth);
+  });
+}
+
+function confirmDeleteEntry(id) {
+  if (confirm('Are you sure you want to delete this entry?')) {
+    deleteEntry(id);
+    refreshEntryViews();
+  }
+}
+
+function renderBudgetSummary(monthKey) {
+  const totals = getTotalsForMonth(monthKey);
+
+  const incomeEl = document.getElementById('summaryIncome');
+  const expenseEl = document.getElementById('summaryExpense');
+  const savingsEl = document.getElementById('summarySavings');
+  const savingsRateEl = document.getElementById('summarySavingsRate');
+  const remainingEl = document.getElementById('summaryRemaining');
+
+  if (!incomeEl || !expenseEl || !remainingEl) return;
+
+  incomeEl.textContent = formatMoney(totals.income);
+  expenseEl.textContent = formatMoney(totals.expense);
+  if (savingsEl) savingsEl.textContent = formatMoney(totals.savings);
+  if (savingsRateEl) savingsRateEl.textContent = `${totals.savingsRate.toFixed(1)}%`;
+  remainingEl.textContent = formatMoney(totals.remaining);
+}
+
+
+// ---------- Transactions Page ----------
+const TRANSACTIONS_DISPLAY_LIMIT = 500;
+
+let transactionFilters = {
+  query: '',
+  category: '',
+  type: '',
+  minAmount: '',
+  maxAmount: '',
+  from: '',
+  to: '',
+  sortBy: 'date',
+  sortDir: 'desc'
+};
+
+function renderTransactionsPage() {
+  const form = document.getElementById('transactionFilters');
+  if (form) {
+    const categorySelect = form.querySelector('[name="category"]');
+    categorySelect.innerHTML = `<option value="">All categories</option>` +
+      getAllEntryCategories().map(c => `<option value="${escapeHTML(c)}" ${transactionFilters.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('');
+    ['query', 'type', 'minAmount', 'maxAmount', 'from', 'to'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).value = transactionFilters[name];
+    });
+  }
+  renderTransactionsResults();
+}
+
+function renderTransactionsResults() {
+  const results = searchEntries(transactionFilters);
+  const totals = getSearchTotals(results, transactionFilters.category);
+
+  const summary = document.getElementById('transactionsSummary');
+  if (summary) {
+    summary.innerHTML = `
+      <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+        <div class="text-sm text-gray-500">Transactions</div>
+        <div class="text-2xl font-bold text-gray-900">${totals.count}</div>
+      </div>
+      <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+        <div class="text-sm text-gray-500">Income</div>
+        <div class="text-2xl font-bold text-green-600">${formatMoney(totals.income)}</div>
+      </div>
+      <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+        <div class="text-sm text-gray-500">Expenses</div>
+        <div class="text-2xl font-bold text-red-600">${formatMoney(totals.expense)}</div>
+      </div>
+      <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+        <div class="text-sm text-gray-500">Savings</div>
+        <div class="text-2xl font-bold text-blue-600">${formatMoney(totals.savings)}</div>
+      </div>
+      <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+        <div class="text-sm text-gray-500">Net</div>
+        <div class="text-2xl font-bold ${totals.net >= 0 ? 'text-primary-700' : 'text-red-600'}">${formatMoney(totals.net)}</div>
+      </div>
+    `;
+  }
+
+  const table = document.getElementById('transactionsTable');
+  if (!table) return;
+
+  if (results.length === 0) {
+    table.innerHTML = '<div class="p-6 text-center text-gray-500">No transactions match these filters.</div>';
+    return;
+  }
+
+  const header = (field, label, align = 'left') => {
+    const active = transactionFilters.sortBy === field;
+    const arrow = active ? (transactionFilters.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th class="py-2 px-2 text-${align}"><button onclick="sortTransactions('${field}')" class="font-semibold ${active ? 'text-primary-700' : 'text-gray-600'} hover:text-primary-700">${label}${arrow}</button></th>`;
+  };
+
+  // The running total is the balance after each entry in date order over
+  // every match, whatever the sort: income adds, expenses and savings
+  // subtract, transfers only move money between accounts
+  const runningTotals = new Map();
+  let total = 0;
+  [...results]
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''))
+    .forEach(e => {
+      const amount = getSearchAmount(e, transactionFilters.category);
+      if (e.type !== 'transfer') total += e.type === 'income' ? amount : -amount;
+      runningTotals.set(e.id, total);
+    });
+
+  const rows = results.slice(0, TRANSACTIONS_DISPLAY_LIMIT).map(e => {
+    const running = runningTotals.get(e.id);
+    return `
+      <tr class="border-t border-gray-100 hover:bg-gray-50">
+        <td class="py-2 px-2 whitespace-nowrap">${new Date(e.date).toLocaleDateString('en-IN')}</td>
+        <td class="py-2 px-2">
+          <div class="font-medium text-gray-900">${escapeHTML(e.description || e.category)}</div>
+          ${e.note ? `<div class="text-xs text-gray-400">${escapeHTML(e.note)}</div>` : ''}
+        </td>
+        <td class="py-2 px-2">${escapeHTML(describeEntryCategory(e))}</td>
+        <td class="py-2 px-2 text-gray-500">${e.type}</td>
+        <td class="py-2 px-2 text-right whitespace-nowrap font-semibold ${getEntryAmountClass(e)}">${getEntrySign(e)} ${formatEntryAmount(e)}${isForeignEntry(e) ? `<div class="text-xs font-normal text-gray-500">≈ ${formatMoney(e.amount)}</div>` : ''}</td>
+        <td class="py-2 px-2 text-right whitespace-nowrap ${running >= 0 ? 'text-gray-700' : 'text-red-600'}">${formatMoney(running)}</td>
+        <td class="py-2 px-2">
+          <div class="flex gap-1 justify-end">
+            <button onclick="editEntry('${e.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+              </svg>
+            </button>
+            <button onclick="confirmDeleteEntry('${e.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+              <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+              </svg>
+            </button>
+          </div>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  table.innerHTML = `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm">
+        <thead>
+          <tr>
+            ${header('date', 'Date')}
+            ${header('description', 'Description')}
+            ${header('category', 'Category')}
+            ${header('type', 'Type')}
+            ${header('amount', 'Amount', 'right')}
+            <th class="py-2 px-2 text-right font-semibold text-gray-600">Running Total</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${results.length > TRANSACTIONS_DISPLAY_LIMIT ? `<div class="mt-3 text-sm text-gray-500 text-center">Showing the first ${TRANSACTIONS_DISPLAY_LIMIT} of ${results.length} transactions. Totals above cover all of them.</div>` : ''}
+  `;
+}
+
+function sortTransactions(field) {
+  if (transactionFilters.sortBy === field) {
+    transactionFilters.sortDir = transactionFilters.sortDir === 'asc' ? 'desc' : 'asc';
+  } else {
+    transactionFilters.sortBy = field;
+    transactionFilters.sortDir = field === 'date' || field === 'amount' ? 'desc' : 'asc';
+  }
+  renderTransactionsResults();
+}
+
+function updateTransactionFilters(form) {
+  const formData = new FormData(form);
+  ['query', 'category', 'type', 'minAmount', 'maxAmount', 'from', 'to'].forEach(name => {
+    transactionFilters[name] = formData.get(name) || '';
+  });
+  renderTransactionsResults();
+}
+
+function resetTransactionFilters() {
+  transactionFilters = {
+    ...transactionFilters,
+    query: '',
+    category: '',
+    type: '',
+    minAmount: '',
+    maxAmount: '',
+    from: '',
+    to: ''
+  };
+  renderTransactionsPage();
+}
+
+// Entry edits can be made from the budget page or the transactions explorer
+function refreshEntryViews() {
+  if (activePage === 'transactions') {
+    renderTransactionsPage();
+  } else {
+    renderBudgetPage(currentBudgetMonth);
+  }
+}
+
+// ---------- Recurring Entries ----------
+function showRecurringModal() {
+  const templates = store.recurring;
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <div class="flex justify-between items-center mb-6">
+        <h3 class="text-2xl font-bold">Recurring Entries</h3>
+        <button onclick="showRecurringFormModal()" class="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg font-medium transition-colors">+ Add</button>
+      </div>
+      <div class="divide-y divide-gray-100">
+        ${templates.length === 0
+          ? '<div class="p-6 text-center text-gray-500">No recurring entries yet. Add salary, EMIs, rent or subscriptions here.</div>'
+          : templates.map(t => {
+            const next = getNextOccurrence(t);
+            return `
+              <div class="flex items-center justify-between py-3">
+                <div class="flex-1">
+                  <div class="font-medium text-gray-900">${escapeHTML(t.description || t.category)}</div>
+                  <div class="text-sm text-gray-500">${describeRecurrence(t)} • ${escapeHTML(t.category)}</div>
+                  <div class="text-xs text-gray-400 mt-1">${next ? `Next: ${parseISODate(next).toLocaleDateString('en-IN')}` : 'Ended'}</div>
+                </div>
+                <div class="flex items-center gap-3">
+                  <div class="font-semibold ${getEntryAmountClass(t)}">
+                    ${getEntrySign(t)} ${formatMoney(t.amount, t.currency || getBaseCurrency())}
+                  </div>
+                  <div class="flex gap-1">
+                    <button onclick="showRecurringFormModal('${t.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+                      <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+                      </svg>
+                    </button>
+                    <button onclick="confirmDeleteRecurring('${t.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+                      <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+                      </svg>
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-            
-            <div class="flex justify-center">
-              <div class="relative w-32 h-32">
-                <svg class="w-full h-full" viewBox="0 0 36 36">
-                  <path
-                    d="M18 2.0845
-                      a 15.9155 15.9155 0 0 1 0 31.831
-                      a 15.9155 15.9155 0 0 1 0 -31.831"
-                    fill="none"
-                    stroke="#eee"
-                    stroke-width="3"
-                  />
-                  <path
-                    d="M18 2.0845
-                      a 15.9155 15.9155 0 0 1 0 31.831
-                      a 15.9155 15.9155 0 0 1 0 -31.831"
-                    fill="none"
-                    stroke="#10b981"
-                    stroke-width="3"
-                    stroke-dasharray="${progress}, 100"
-                    transform="rotate(-90 18 18)"
-                  />
-                  <text x="18" y="20.5" text-anchor="middle" font-size="8" fill="#10b981" font-weight="bold">
-                    ${progress.toFixed(0)}%
-                  </text>
-                </svg>
-              </div>
-            </div>
-          </div>
-        `;
-      }).join('')}
+            `;
+          }).join('')
+        }
+      </div>
+      <div class="flex justify-end pt-6">
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
     </div>
   `;
+
+  showModal(modal);
 }
 
-// ---------- New Helper Functions for Home Dashboard ----------
-function getSavingsForMonth(monthKey) {
-  const entries = store.entries[monthKey] || [];
-  return entries
-    .filter(e => e.type === 'expense' && e.category === 'Savings')
-    .reduce((sum, e) => sum + Number(e.amount), 0);
+function showRecurringFormModal(id) {
+  const template = id ? store.recurring.find(r => r.id === id) : null;
+  const t = template || {
+    type: 'expense',
+    category: store.settings.expenseCategories[0],
+    frequency: 'monthly',
+    interval: 1,
+    startDate: toISODate(new Date())
+  };
+
+  const categoryOptions = type => getCategoriesForType(type)
+    .map(c => `<option value="${escapeHTML(c)}" ${t.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`)
+    .join('');
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-6">${template ? 'Edit' : 'Add'} Recurring Entry</h3>
+      <form id="recurringForm" class="space-y-4">
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
+            <select name="type" id="recurringType" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="expense" ${t.type === 'expense' ? 'selected' : ''}>Expense</option>
+              <option value="income" ${t.type === 'income' ? 'selected' : ''}>Income</option>
+              <option value="savings" ${t.type === 'savings' ? 'selected' : ''}>Savings</option>
+            </select>
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Category</label>
+            <select name="category" id="recurringCategory" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              ${categoryOptions(t.type)}
+            </select>
+          </div>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
+          <input type="text" name="description" value="${escapeHTML(t.description || '')}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Home Loan EMI">
+        </div>
+        ${renderAmountField(t.amount, t.currency)}
+        ${renderLoanSelectField(t.loanId, t.type !== 'expense')}
+        ${renderAccountSelectField(t.accountId)}
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Repeats</label>
+            <select name="frequency" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="weekly" ${t.frequency === 'weekly' ? 'selected' : ''}>Weekly</option>
+              <option value="monthly" ${t.frequency === 'monthly' ? 'selected' : ''}>Monthly</option>
+              <option value="yearly" ${t.frequency === 'yearly' ? 'selected' : ''}>Yearly</option>
+            </select>
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Every</label>
+            <input type="number" name="interval" min="1" step="1" value="${t.interval || 1}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+            <input type="date" name="startDate" value="${t.startDate}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">End Date (optional)</label>
+            <input type="date" name="endDate" value="${t.endDate || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
+          <textarea name="note" rows="2" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">${escapeHTML(t.note || '')}</textarea>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 ${template ? 'bg-primary-600 hover:bg-primary-700' : 'bg-accent-500 hover:bg-accent-600'} text-white px-6 py-3 rounded-lg font-medium transition-colors">${template ? 'Update' : 'Add'} Recurring Entry</button>
+          <button type="button" onclick="showRecurringModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Back</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  const typeSelect = document.getElementById('recurringType');
+  typeSelect.addEventListener('change', function() {
+    document.getElementById('recurringCategory').innerHTML = categoryOptions(this.value);
+    toggleLoanField(this.value);
+  });
+
+  document.getElementById('recurringForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const data = {
+      type: formData.get('type'),
+      category: formData.get('category'),
+      description: formData.get('description'),
+      amount: parseFloat(formData.get('amount')),
+      currency: formData.get('currency') && formData.get('currency') !== getBaseCurrency() ? formData.get('currency') : null,
+      frequency: formData.get('frequency'),
+      interval: parseInt(formData.get('interval'), 10),
+      startDate: formData.get('startDate'),
+      endDate: formData.get('endDate') || null,
+      note: formData.get('note'),
+      loanId: formData.get('type') === 'expense' ? formData.get('loanId') || null : null,
+      accountId: formData.get('accountId') || null
+    };
+
+    if (data.endDate && data.endDate < data.startDate) {
+      alert('End date must be after the start date.');
+      return;
+    }
+
+    if (getExchangeRate(data.currency, data.startDate) === null) {
+      alert(`No ${data.currency} exchange rate on or before the start date. Add one in Settings first.`);
+      return;
+    }
+
+    if (template) {
+      const hasFuture = getRecurringInstances(id).some(en => en.date >= toISODate(new Date()));
+      const applyToFuture = hasFuture && confirm('Apply these changes to upcoming entries already created from this template?');
+      updateRecurring(id, data, applyToFuture);
+    } else {
+      addRecurring(data);
+    }
+
+    generateRecurringEntries();
+    showRecurringModal();
+    if (activePage === 'budget') renderBudgetPage(currentBudgetMonth);
+  });
 }
 
-function getTotalSavings() {
-  return Object.values(store.entries)
-    .flat()
-    .filter(e => e.type === 'expense' && e.category === 'Savings')
-    .reduce((sum, e) => sum + Number(e.amount), 0);
+function confirmDeleteRecurring(id) {
+  if (!confirm('Stop this recurring entry? Entries already recorded are kept.')) return;
+  const hasFuture = getRecurringInstances(id).some(e => e.date >= toISODate(new Date()));
+  const deleteFuture = hasFuture && confirm('Also delete upcoming entries already created from it?');
+  deleteRecurring(id, deleteFuture);
+  showRecurringModal();
+  if (activePage === 'budget') renderBudgetPage(currentBudgetMonth);
 }
 
-function getSavingsByMonth(monthsCount = 12) {
-  const result = [];
-  const currentDate = new Date();
+// ---------- Savings Page ----------
+function renderSavingsPage() {
+  const list = document.getElementById('savingsList');
+  const savingsEntries = Object.values(store.entries)
+    .flat()
+    .filter(e => e.type === 'savings')
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
   
-  for (let i = monthsCount - 1; i >= 0; i--) {
-    const date = new Date(currentDate.getFullYear(), currentDate.getMonth() - i, 1);
-    const monthKey = getMonthKey(date);
-    const savings = getSavingsForMonth(monthKey);
-    
-    result.push({
-      monthKey,
-      savings,
-      label: date.toLocaleString('en-IN', { month: 'short', year: '2-digit' })
-    });
+  if (savingsEntries.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No savings entries yet. Click "Add Savings" to start.</div>';
+    return;
   }
   
-  return result;
+  const totalSavings = savingsEntries.reduce((sum, e) => sum + Number(e.amount), 0);
+  
+  list.innerHTML = `
+    <div class="p-6 bg-gradient-to-br from-green-50 to-emerald-50 border-b">
+      <div class="text-sm text-gray-600 font-medium">Total Savings</div>
+      <div class="text-3xl font-bold text-green-700 mt-1">${formatMoney(totalSavings)}</div>
+    </div>
+    ${savingsEntries.map(e => `
+      <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+        <div class="flex-1">
+          <div class="font-medium text-gray-900">${escapeHTML(e.description)}</div>
+          <div class="text-sm text-gray-500">${escapeHTML(e.category)} • ${new Date(e.date).toLocaleDateString('en-IN')}${escapeHTML(describeGoalAllocations(e))}</div>
+        </div>
+        <div class="text-right font-semibold text-green-600">
+          ${formatEntryAmount(e)}
+        </div>
+      </div>
+    `).join('')}
+  `;
 }
 
-function renderSavingsChart(savingsData) {
-  const ctx = document.getElementById('savingsChart');
-  if (!ctx) return;
-
-  // Destroy existing chart instance
-  if (savingsChartInstance) {
-    savingsChartInstance.destroy();
-    savingsChartInstance = null;
-  }
+function describeGoalAllocations(entry) {
+  const names = (entry.goalAllocations || [])
+    .map(a => store.goals.find(g => g.id === a.goalId))
+    .filter(Boolean)
+    .map(g => g.title);
+  return names.length ? ` • 🎯 ${names.join(', ')}` : '';
+}
 
-  // Check if there's any savings data to display
-  const hasData = savingsData.some(d => d.savings > 0);
+function showAddSavingsModal() {
+  const goals = store.goals;
   
-  if (!hasData) {
-    // Remove any existing canvas and show message
-    const chartContainer = document.getElementById('expensesChartContainer');
-    const existingCanvas = document.getElementById('savingsChart');
-    if (existingCanvas) {
-      existingCanvas.remove();
-    }
-    
-    // Show help message
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'text-center py-12';
-    messageDiv.innerHTML = `
-      <div class="text-gray-400 text-6xl mb-4">💾</div>
-      <h3 class="text-lg font-semibold text-gray-700 mb-2">No Savings Data</h3>
-      <p class="text-gray-500">Please add your savings details in the Savings section</p>
-      <button onclick="showPage('savings')" class="mt-4 bg-primary-600 hover:bg-primary-700 text-white px-6 py-2 rounded-lg font-medium transition-colors">
-        Go to Savings
-      </button>
-    `;
-    
-    // Find and replace the chart container content
-    const chartParent = ctx.closest('.bg-white');
-    if (chartParent) {
-      const chartSection = chartParent.querySelector('canvas')?.parentElement || chartParent;
-      chartSection.innerHTML = '';
-      chartSection.appendChild(messageDiv);
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-6">Add Savings</h3>
+      <form id="savingsForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
+          <input type="text" name="description" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Monthly savings">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Amount (${getCurrencySymbol()})</label>
+          <input type="number" name="amount" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
+          <input type="date" name="date" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${new Date().toISOString().split('T')[0]}">
+        </div>
+        ${goals.length ? `
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Goal</label>
+            <select name="goal" id="savingsGoalSelect" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="">— Not for a goal —</option>
+              ${goals.map(g => `<option value="${g.id}">${escapeHTML(g.title)}</option>`).join('')}
+              <option value="split">Split across goals…</option>
+            </select>
+          </div>
+          <div id="goalSplitContainer" class="hidden space-y-2">
+            ${goals.map(g => `
+              <div class="flex items-center gap-3">
+                <label class="flex-1 text-sm text-gray-700">${escapeHTML(g.title)}</label>
+                <input type="number" data-goal-split="${g.id}" step="0.01" min="0" class="w-36 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        ${renderTaxSectionField()}
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Add Savings</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+  
+  showModal(modal);
+  const taxField = bindTaxSectionField(document.getElementById('savingsForm'), () => ({ category: 'Savings' }));
+  
+  document.getElementById('savingsGoalSelect')?.addEventListener('change', function() {
+    document.getElementById('goalSplitContainer').classList.toggle('hidden', this.value !== 'split');
+  });
+  
+  document.getElementById('savingsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const amount = parseFloat(formData.get('amount'));
+    const goal = formData.get('goal');
+    let goalAllocations = [];
+    
+    if (goal === 'split') {
+      goalAllocations = [...document.querySelectorAll('[data-goal-split]')]
+        .map(input => ({ goalId: input.dataset.goalSplit, amount: parseFloat(input.value) || 0 }))
+        .filter(a => a.amount > 0);
+      const allocated = goalAllocations.reduce((sum, a) => sum + a.amount, 0);
+      if (allocated - amount > 0.005) {
+        alert(`The goal amounts add up to ${formatMoney(allocated)}, which is more than the ${formatMoney(amount)} saved.`);
+        return;
+      }
+    } else if (goal) {
+      goalAllocations = [{ goalId: goal, amount }];
     }
+    
+    addSavings(
+      amount,
+      formData.get('description'),
+      formData.get('date'),
+      goalAllocations,
+      taxField.getSections()
+    );
+    hideModal();
+    renderSavingsPage();
+  });
+}
+
+// ---------- Reports Page ----------
+const REPORT_COLORS = ['#5C5C99', '#ffcc33', '#10b981', '#ef4444', '#3b82f6', '#f97316', '#8b5cf6', '#14b8a6', '#ec4899', '#84cc16', '#A3A3CC', '#6b7280'];
+let reportChartInstance = null;
+let reportState = {
+  period: 'month',
+  anchor: toISODate(new Date()),
+  from: '',
+  to: '',
+  category: ''
+};
+
+function formatPercentChange(value) {
+  if (value === null) return 'new';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+// Slices are coloured largest first; categories with no spending get none
+function getReportColors(report) {
+  const colors = {};
+  report.rows
+    .filter(r => r.amount > 0)
+    .forEach((r, i) => { colors[r.category] = REPORT_COLORS[i % REPORT_COLORS.length]; });
+  return colors;
+}
+
+// More spending is bad news, so increases are red
+function getChangeClass(change) {
+  if (change > 0) return 'text-red-600';
+  if (change < 0) return 'text-green-600';
+  return 'text-gray-500';
+}
+
+function renderReportsPage() {
+  renderAnnualReport();
+  renderTaxSummary();
+  renderForecast();
+  const form = document.getElementById('reportControls');
+  if (!form) return;
+  const isCustom = reportState.period === 'custom';
+  form.querySelector('[name="period"]').value = reportState.period;
+  form.querySelector('[name="from"]').value = reportState.from;
+  form.querySelector('[name="to"]').value = reportState.to;
+  document.getElementById('reportStepper').classList.toggle('hidden', isCustom);
+  document.getElementById('reportCustomRange').classList.toggle('hidden', !isCustom);
+
+  const range = getReportRange(reportState.period, reportState.anchor, reportState.from, reportState.to);
+  const summary = document.getElementById('reportSummary');
+  if (!range) {
+    summary.innerHTML = '<div class="col-span-full p-6 text-center text-gray-500">Pick a start and end date to see the report.</div>';
+    document.getElementById('reportBreakdown').classList.add('hidden');
+    document.getElementById('reportDrilldown').innerHTML = '';
     return;
   }
+  document.getElementById('reportBreakdown').classList.remove('hidden');
+  document.getElementById('reportPeriodLabel').textContent = range.label;
 
-  // Create new chart with fixed dimensions
-  savingsChartInstance = new Chart(ctx, {
-    type: 'bar',
-    data: {
-      labels: savingsData.map(d => d.label),
-      datasets: [
-        {
-          label: 'Monthly Savings',
-          data: savingsData.map(d => d.savings),
-          backgroundColor: 'rgba(16, 185, 129, 0.7)',
-          borderColor: 'rgba(16, 185, 129, 1)',
-          borderWidth: 1,
-          borderRadius: 8
-        }
-      ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      aspectRatio: 2, // Fixed aspect ratio to prevent infinite growth
-      scales: {
-        y: {
-          beginAtZero: true,
-          ticks: {
-            callback: value => formatINR(value)
-          },
-          grid: {
-            drawBorder: false
-          }
-        },
-        x: {
-          grid: {
-            display: false
-          }
-        }
-      },
-      plugins: {
-        tooltip: {
-          callbacks: {
-            label: context => 'Savings: ' + formatINR(context.parsed.y)
-          }
-        },
-        legend: {
-          display: false
-        }
-      },
-      layout: {
-        padding: {
-          top: 10,
-          bottom: 10,
-          left: 10,
-          right: 10
-        }
-      }
-    }
-  });
+  const previousRange = getPreviousReportRange(reportState.period, range);
+  const report = getSpendingReport(range, previousRange);
+  const change = report.total - report.previousTotal;
+
+  summary.innerHTML = `
+    <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+      <div class="text-sm text-gray-500">Spent • ${range.label}</div>
+      <div class="text-2xl font-bold text-red-600">${formatMoney(report.total)}</div>
+    </div>
+    <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+      <div class="text-sm text-gray-500">Previous • ${previousRange.label}</div>
+      <div class="text-2xl font-bold text-gray-900">${formatMoney(report.previousTotal)}</div>
+    </div>
+    <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+      <div class="text-sm text-gray-500">Change</div>
+      <div class="text-2xl font-bold ${getChangeClass(change)}">
+        ${change > 0 ? '+' : ''}${formatMoney(change)}
+        <span class="text-base font-medium">(${formatPercentChange(report.previousTotal ? (change / report.previousTotal) * 100 : null)})</span>
+      </div>
+    </div>
+  `;
+
+  renderReportChart(report);
+  renderReportTable(report);
+  renderReportDrilldown(range);
 }
 
-// ---------- Chart Functions ----------
-function renderExpensesChart(startMonthKey) {
-  const ctx = document.getElementById('expensesChart');
+function renderReportChart(report) {
+  const ctx = document.getElementById('reportChart');
   if (!ctx) return;
 
-  const dataSeries = getExpensesSeriesForWindow(startMonthKey);
-  const labels = dataSeries.map(d => {
-    const [y, m] = d.monthKey.split('-').map(Number);
-    const date = new Date(y, m - 1);
-    return date.toLocaleString('en-IN', { month: 'short', year: '2-digit' });
-  });
-  const data = dataSeries.map(d => d.total);
-
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
+  if (reportChartInstance) {
+    reportChartInstance.destroy();
+    reportChartInstance = null;
   }
 
-  chartInstance = new Chart(ctx, {
-    type: 'bar',
+  const rows = report.rows.filter(r => r.amount > 0);
+  const colors = getReportColors(report);
+  reportChartInstance = new Chart(ctx, {
+    type: 'doughnut',
     data: {
-      labels,
+      labels: rows.map(r => r.category),
       datasets: [
         {
-          label: 'Monthly Expenses',
-          data,
-          backgroundColor: 'rgba(79, 70, 229, 0.7)',
-          borderColor: 'rgba(79, 70, 229, 1)',
-          borderWidth: 1,
-          borderRadius: 8
+          data: rows.map(r => r.amount),
+          backgroundColor: rows.map(r => colors[r.category]),
+          borderWidth: 2,
+          borderColor: '#ffffff'
         }
       ]
     },
     options: {
       responsive: true,
-      maintainAspectRatio: false, // This is key - prevents automatic resizing
-      aspectRatio: 2.5, // Optimal ratio for bar charts (width:height)
-      scales: {
-        y: {
-          beginAtZero: true,
-          ticks: {
-            callback: value => formatINR(value)
-          },
-          grid: {
-            drawBorder: false
-          }
-        },
-        x: {
-          grid: {
-            display: false
-          }
-        }
-      },
+      maintainAspectRatio: false,
+      cutout: '60%',
       plugins: {
+        legend: { position: 'right' },
         tooltip: {
           callbacks: {
-            label: context => 'Expenses: ' + formatINR(context.parsed.y)
+            label: item => `${item.label}: ${formatMoney(item.raw)} (${rows[item.dataIndex].share.toFixed(1)}%)`
           }
-        },
-        legend: {
-          display: false
         }
       },
-      layout: {
-        padding: {
-          top: 10,
-          bottom: 10,
-          left: 10,
-          right: 10
-        }
+      onClick: (event, elements) => {
+        if (elements.length) selectReportCategory(rows[elements[0].index].category);
       }
     }
   });
 }
 
-function renderExpensesSVGChart(dataSeries) {
-  const container = document.getElementById("svgChartContainer");
-  if (!container) return;
-
-  const width = 540;
-  const height = 290;
-
-  const padding = {
-    top: 40,
-    right: 30,
-    bottom: 50,
-    left: 60
-  };
-
-  const graphW = width - padding.left - padding.right;
-  const graphH = height - padding.top - padding.bottom;
-
-  const maxValue = Math.max(
-    ...dataSeries.map(d => Math.max(d.expense, d.savings)),
-    1
-  );
+function renderReportTable(report) {
+  const table = document.getElementById('reportTable');
+  if (!table) return;
 
-  const stepX = graphW / (dataSeries.length - 1);
-
-  //-----------------------------
-  //  Build line points (EXPENSE)
-  //-----------------------------
-  let expensePoints = "";
-  dataSeries.forEach((d, i) => {
-    const x = padding.left + i * stepX;
-    const y = padding.top + (1 - d.expense / maxValue) * graphH;
-    expensePoints += `${x},${y} `;
-  });
-
-  //-----------------------------
-  //  Build line points (SAVINGS)
-  //-----------------------------
-  let savingsPoints = "";
-  dataSeries.forEach((d, i) => {
-    const x = padding.left + i * stepX;
-    const y = padding.top + (1 - d.savings / maxValue) * graphH;
-    savingsPoints += `${x},${y} `;
-  });
-
-  //-----------------------------
-  //  Y-axis ticks + grid
-  //-----------------------------
-  const yTicks = 5;
-  let yAxisLabels = "";
-  let gridLines = "";
-
-  for (let i = 0; i <= yTicks; i++) {
-    const value = Math.round((maxValue / yTicks) * i);
-    const y = padding.top + graphH - (graphH * (i / yTicks));
-
-    yAxisLabels += `
-      <text x="${padding.left - 10}" y="${y + 4}" text-anchor="end" font-size="10" fill="#999">₹${value}</text>
-    `;
-
-    gridLines += `
-      <line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" 
-            stroke="#ccc" stroke-width="1" opacity="0.2"></line>
-    `;
+  if (report.rows.length === 0) {
+    table.innerHTML = '<div class="p-6 text-center text-gray-500">No expenses in this period or the one before it.</div>';
+    return;
   }
 
-  //-----------------------------
-  //  X-axis labels (Months)
-  //-----------------------------
-  let xAxisLabels = "";
-  dataSeries.forEach((d, i) => {
-    const x = padding.left + i * stepX;
-    const date = new Date(d.monthKey + "-01");
-    const label = date.toLocaleString("en-IN", { month: "short" });
-
-    xAxisLabels += `
-      <text x="${x}" y="${height - padding.bottom + 20}" 
-            text-anchor="middle" font-size="10" fill="#999">${label}</text>
-    `;
-  });
-
-  //-----------------------------
-  //  Legend
-  //-----------------------------
-  const legend = `
-      <rect x="${padding.left}" y="5" width="12" height="12" fill="#FF6B6B"></rect>
-      <text x="${padding.left + 20}" y="15" font-size="11" fill="#333">Expenses</text>
-
-      <rect x="${padding.left + 100}" y="5" width="12" height="12" fill="#5BCAC1"></rect>
-      <text x="${padding.left + 120}" y="15" font-size="11" fill="#333">Savings</text>
+  const colors = getReportColors(report);
+  table.innerHTML = `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="border-b border-gray-200 text-gray-600">
+            <th class="px-3 py-2 text-left font-medium">Category</th>
+            <th class="px-3 py-2 text-right font-medium">Spent</th>
+            <th class="px-3 py-2 text-right font-medium">Share</th>
+            <th class="px-3 py-2 text-right font-medium">Previous</th>
+            <th class="px-3 py-2 text-right font-medium">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${report.rows.map(r => `
+            <tr data-report-category="${escapeHTML(r.category)}" class="border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${reportState.category === r.category ? 'bg-primary-50' : ''}">
+              <td class="px-3 py-2">
+                <span class="inline-block w-3 h-3 rounded-full mr-2 align-middle" style="background: ${colors[r.category] || '#e5e7eb'}"></span>${escapeHTML(r.category)}
+              </td>
+              <td class="px-3 py-2 text-right font-semibold text-gray-900">${formatMoney(r.amount)}</td>
+              <td class="px-3 py-2 text-right text-gray-500">${r.share.toFixed(1)}%</td>
+              <td class="px-3 py-2 text-right text-gray-500">${formatMoney(r.previous)}</td>
+              <td class="px-3 py-2 text-right whitespace-nowrap ${getChangeClass(r.change)}">
+                ${r.change > 0 ? '+' : ''}${formatMoney(r.change)} <span class="text-xs">(${formatPercentChange(r.percentChange)})</span>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
   `;
 
-  //-----------------------------
-  //  Final SVG
-  //-----------------------------
-  container.innerHTML = `
-    <svg width="100%" height="100%" viewBox="0 0 ${width} ${height}">
-      
-      ${legend}
-
-      ${gridLines}
-
-      <line x1="${padding.left}" y1="${padding.top}" 
-            x2="${padding.left}" y2="${height - padding.bottom}" 
-            stroke="#999" stroke-width="1"/>
-
-      <line x1="${padding.left}" y1="${height - padding.bottom}" 
-            x2="${width - padding.right}" y2="${height - padding.bottom}" 
-            stroke="#999" stroke-width="1"/>
-
-      ${yAxisLabels}
-      ${xAxisLabels}
-
-      <!-- EXPENSE LINE (RED) -->
-<polyline 
-    points="${expensePoints}"
-    stroke="#FF6B6B"
-    fill="none"
-    stroke-width="6"
-    stroke-linecap="round"
-    stroke-linejoin="round"
-    style="stroke-dasharray: 1000; stroke-dashoffset: 1000;
-           animation: dash 2.5s ease forwards;"
-></polyline>
-
-<!-- SAVINGS LINE (BLUE) -->
-<polyline 
-    points="${savingsPoints}"
-    stroke="#4FC3F7"
-    fill="none"
-    stroke-width="6"
-    stroke-linecap="round"
-    stroke-linejoin="round"
-    style="stroke-dasharray: 1000; stroke-dashoffset: 1000;
-           animation: dash 2.5s ease forwards;"
-></polyline>
-
-      <style>
-        @keyframes dash { to { stroke-dashoffset: 0; } }
-      </style>
-
-    </svg>
-  `;
+  table.querySelectorAll('[data-report-category]').forEach(row => {
+    row.addEventListener('click', () => selectReportCategory(row.dataset.reportCategory));
+  });
 }
 
+function renderReportDrilldown(range) {
+  const panel = document.getElementById('reportDrilldown');
+  if (!panel) return;
+  const category = reportState.category;
 
-function getExpenseSavingsSeries(startMonthKey, monthsCount = 6) {
-  const [y, m] = startMonthKey.split('-').map(Number);
-  const start = new Date(y, m - 1);
-
-  const result = [];
-
-  for (let i = monthsCount - 1; i >= 0; i--) {
-    const d = new Date(start.getFullYear(), start.getMonth() - i);
-    const key = getMonthKey(d);
-
-    const expense =
-      (store.entries[key] || [])
-        .filter(e => e.type === 'expense')
-        .reduce((sum, e) => sum + Number(e.amount), 0);
-
-    const savings =
-      (store.entries[key] || [])
-        .filter(e => e.type === 'expense' && e.category === 'Savings')
-        .reduce((sum, e) => sum + Number(e.amount), 0);
-
-    result.push({ monthKey: key, expense, savings });
+  if (!category) {
+    panel.innerHTML = '<div class="p-6 text-center text-gray-500">Click a slice or a category to see its entries.</div>';
+    return;
   }
 
-  return result;
-}
-
-
+  const entries = searchEntries({ type: 'expense', category, from: range.from, to: range.to });
+  panel.innerHTML = `
+    <div class="flex items-center justify-between mb-3">
+      <h4 class="font-semibold text-gray-900">${escapeHTML(category)} • ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}</h4>
+      <div class="flex gap-2">
+        <button type="button" id="reportOpenTransactions" class="px-3 py-1.5 text-sm font-medium text-primary-700 hover:bg-primary-50 rounded">Open in Transactions</button>
+        <button type="button" onclick="selectReportCategory('')" class="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded">Clear</button>
+      </div>
+    </div>
+    ${entries.length === 0 ? '<div class="p-4 text-center text-gray-500">Nothing spent on this category in this period.</div>' : `
+      <div class="divide-y divide-gray-100">
+        ${entries.map(e => `
+          <div class="flex items-center justify-between py-3">
+            <div>
+              <div class="font-medium text-gray-900">${escapeHTML(e.description)}</div>
+              <div class="text-sm text-gray-500">${parseISODate(e.date).toLocaleDateString('en-IN')}${isSplitEntry(e) ? ` • part of ${formatEntryAmount(e)}` : ''}</div>
+            </div>
+            <div class="font-semibold text-red-600">${formatMoney(getEntryCategoryAmount(e, category))}</div>
+          </div>
+        `).join('')}
+      </div>
+    `}
+  `;
 
-// ---------- Import / Export ----------
-function exportData() {
-  const data = JSON.stringify(store, null, 2);
-  const blob = new Blob([data], { type: 'application/json' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = `budget-backup-${new Date().toISOString().split('T')[0]}.json`;
-  a.click();
+  document.getElementById('reportOpenTransactions').addEventListener('click', () => {
+    transactionFilters = { ...transactionFilters, query: '', minAmount: '', maxAmount: '', category, type: 'expense', from: range.from, to: range.to };
+    showPage('transactions');
+  });
 }
 
-function importData(file, merge = false) {
-  const reader = new FileReader();
-  reader.onload = e => {
-    try {
-      const imported = JSON.parse(e.target.result);
-      if (merge) {
-        Object.assign(store.entries, imported.entries || {});
-        store.settings.expenseCategories = Array.from(
-          new Set([
-            ...store.settings.expenseCategories,
-            ...(imported.settings?.expenseCategories || [])
-          ])
-        );
-        store.goals.push(...(imported.goals || []));
-        store.loans.push(...(imported.loans || []));
-      } else {
-        store = imported;
-      }
-      saveStore(store);
-      alert('Import successful!');
-      location.reload();
-    } catch {
-      alert('Invalid JSON data.');
-    }
-  };
-  reader.readAsText(file);
+function selectReportCategory(category) {
+  reportState.category = reportState.category === category ? '' : category;
+  renderReportsPage();
 }
 
-// ---------- Modal System ----------
-function showModal(content) {
-  const modalRoot = document.getElementById('modalRoot');
-  modalRoot.innerHTML = content;
-  modalRoot.classList.remove('hidden');
-  modalRoot.classList.add('flex');
+function updateReportControls(form) {
+  const formData = new FormData(form);
+  const period = formData.get('period');
+  if (period !== reportState.period) reportState.category = '';
+  reportState = { ...reportState, period, from: formData.get('from'), to: formData.get('to') };
+  renderReportsPage();
 }
 
-function hideModal() {
-  const modalRoot = document.getElementById('modalRoot');
-  modalRoot.classList.add('hidden');
-  modalRoot.classList.remove('flex');
-  modalRoot.innerHTML = '';
+function stepReportPeriod(step) {
+  reportState.anchor = shiftReportAnchor(reportState.period, reportState.anchor, step);
+  reportState.category = '';
+  renderReportsPage();
 }
 
-// ---------- Page Navigation ----------
-let activePage = 'home';
-
-function showPage(pageName) {
-  document.querySelectorAll('.page').forEach(page => {
-    page.classList.add('hidden');
-  });
-  
-  const targetPage = document.getElementById(`page-${pageName}`);
-  if (targetPage) {
-    targetPage.classList.remove('hidden');
-    activePage = pageName;
-  }
-  
-  document.querySelectorAll('.nav-btn').forEach(btn => {
-    btn.classList.remove('bg-white/20', 'shadow-sm');
-  });
-  
-  const activeBtn = document.querySelector(`[data-page="${pageName}"]`);
-  if (activeBtn) {
-    activeBtn.classList.add('bg-white/20', 'shadow-sm');
+// ---------- Year in Review ----------
+// The report is plain HTML styled by ANNUAL_REPORT_CSS alone, so the same
+// markup is shown in the app, printed and downloaded as a standalone page.
+const ANNUAL_REPORT_CSS = `
+  .ar-report { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #111827; }
+  .ar-report h1 { font-size: 1.5rem; font-weight: 700; margin: 0; }
+  .ar-report h2 { font-size: 1.1rem; font-weight: 600; margin: 1.75rem 0 0.5rem; }
+  .ar-muted { color: #6b7280; font-size: 0.875rem; }
+  .ar-cards { display: grid; grid-template-columns: repeat(4, minmax(0, 1fr)); gap: 0.75rem; margin-top: 1rem; }
+  .ar-card { border: 1px solid #e5e7eb; border-radius: 0.75rem; padding: 0.75rem 1rem; background: #fff; }
+  .ar-card strong { display: block; font-size: 1.25rem; margin-top: 0.25rem; }
+  .ar-columns { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 1.5rem; }
+  .ar-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  .ar-table th, .ar-table td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  .ar-table th { color: #4b5563; font-weight: 500; }
+  .ar-table .ar-num { text-align: right; white-space: nowrap; }
+  .ar-table tfoot td { font-weight: 600; border-bottom: none; }
+  .ar-bar { height: 0.4rem; background: #e5e7eb; border-radius: 9999px; margin-top: 0.25rem; }
+  .ar-bar span { display: block; height: 100%; background: #5C5C99; border-radius: 9999px; }
+  .ar-income { color: #16a34a; }
+  .ar-expense { color: #dc2626; }
+  .ar-savings { color: #2563eb; }
+  @media (max-width: 640px) {
+    .ar-cards { grid-template-columns: repeat(2, minmax(0, 1fr)); }
+    .ar-columns { grid-template-columns: 1fr; }
   }
-  
-  if (pageName === 'home') {
-    homeActiveCategory = 'budget';
-    renderHomePage();
-    updateHomeOverviewCard();
-  } else if (pageName === 'budget') {
-    renderBudgetPage(currentBudgetMonth);
-  } else if (pageName === 'savings') {
-    renderSavingsPage();
-  } else if (pageName === 'loans') {
-    renderLoansPage();
-  } else if (pageName === 'goals') {
-    renderGoalsPage();
+  @media print {
+    .ar-report { font-size: 12px; }
+    .ar-section { break-inside: avoid; }
   }
+`;
+
+let annualState = { kind: 'fy', startYear: getFinancialYearStart(new Date()) };
+
+function buildAnnualReportHTML(report) {
+  const { range, months, totals } = report;
+  const monthLabel = monthKey => parseISODate(`${monthKey}-01`).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+  const percent = value => `${value.toFixed(1)}%`;
+
+  return `
+    <div class="ar-report">
+      <h1>Year in Review • ${range.label}</h1>
+      <div class="ar-muted">${parseISODate(range.from).toLocaleDateString('en-IN')} – ${parseISODate(range.to).toLocaleDateString('en-IN')} • Generated ${new Date().toLocaleDateString('en-IN')}</div>
+
+      <div class="ar-cards">
+        <div class="ar-card"><span class="ar-muted">Income</span><strong class="ar-income">${formatMoney(totals.income)}</strong></div>
+        <div class="ar-card"><span class="ar-muted">Expenses</span><strong class="ar-expense">${formatMoney(totals.expense)}</strong></div>
+        <div class="ar-card"><span class="ar-muted">Savings</span><strong class="ar-savings">${formatMoney(totals.savings)}</strong></div>
+        <div class="ar-card"><span class="ar-muted">Savings Rate</span><strong>${percent(totals.savingsRate)}</strong></div>
+      </div>
+
+      <div class="ar-section">
+        <h2>Month by Month</h2>
+        <table class="ar-table">
+          <thead>
+            <tr><th>Month</th><th class="ar-num">Income</th><th class="ar-num">Expenses</th><th class="ar-num">Savings</th><th class="ar-num">Remaining</th><th class="ar-num">Savings Rate</th></tr>
+          </thead>
+          <tbody>
+            ${months.map(m => `
+              <tr>
+                <td>${monthLabel(m.monthKey)}</td>
+                <td class="ar-num">${formatMoney(m.income)}</td>
+                <td class="ar-num">${formatMoney(m.expense)}</td>
+                <td class="ar-num">${formatMoney(m.savings)}</td>
+                <td class="ar-num">${formatMoney(m.remaining)}</td>
+                <td class="ar-num">${percent(m.savingsRate)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total</td>
+              <td class="ar-num">${formatMoney(totals.income)}</td>
+              <td class="ar-num">${formatMoney(totals.expense)}</td>
+              <td class="ar-num">${formatMoney(totals.savings)}</td>
+              <td class="ar-num">${formatMoney(totals.remaining)}</td>
+              <td class="ar-num">${percent(totals.savingsRate)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <div class="ar-columns">
+        <div class="ar-section">
+          <h2>Top Categories</h2>
+          ${report.topCategories.length === 0 ? '<div class="ar-muted">No expenses recorded.</div>' : `
+            <table class="ar-table">
+              <tbody>
+                ${report.topCategories.map(c => `
+                  <tr>
+                    <td>${escapeHTML(c.category)}<div class="ar-bar"><span style="width: ${c.share}%"></span></div></td>
+                    <td class="ar-num">${formatMoney(c.amount)}<div class="ar-muted">${percent(c.share)}</div></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+        <div class="ar-section">
+          <h2>Largest Expenses</h2>
+          ${report.largest.length === 0 ? '<div class="ar-muted">No expenses recorded.</div>' : `
+            <table class="ar-table">
+              <tbody>
+                ${report.largest.map(e => `
+                  <tr>
+                    <td>${escapeHTML(e.description)}<div class="ar-muted">${parseISODate(e.date).toLocaleDateString('en-IN')} • ${escapeHTML(describeEntryCategory(e))}</div></td>
+                    <td class="ar-num ar-expense">${formatMoney(Number(e.amount))}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </div>
+
+      <div class="ar-columns">
+        <div class="ar-section">
+          <h2>Loan Repayments</h2>
+          ${report.loans.length === 0 ? '<div class="ar-muted">No loan payments in this period.</div>' : `
+            <table class="ar-table">
+              <thead>
+                <tr><th>Loan</th><th class="ar-num">Paid</th><th class="ar-num">Principal</th><th class="ar-num">Interest</th></tr>
+              </thead>
+              <tbody>
+                ${report.loans.map(l => `
+                  <tr>
+                    <td>${escapeHTML(l.loan.name)}</td>
+                    <td class="ar-num">${formatMoney(l.paid)}</td>
+                    <td class="ar-num">${formatMoney(l.principal)}</td>
+                    <td class="ar-num ar-expense">${formatMoney(l.interest)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+        <div class="ar-section">
+          <h2>Goal Progress</h2>
+          ${report.goals.length === 0 ? '<div class="ar-muted">No goals set.</div>' : `
+            <table class="ar-table">
+              <tbody>
+                ${report.goals.map(g => `
+                  <tr>
+                    <td>
+                      ${escapeHTML(g.goal.title)}
+                      <div class="ar-bar"><span style="width: ${g.progress}%"></span></div>
+                      <div class="ar-muted">${formatMoney(g.saved)} of ${formatMoney(g.goal.targetAmount)} by year end</div>
+                    </td>
+                    <td class="ar-num ar-savings">+${formatMoney(g.added)}<div class="ar-muted">${percent(g.progress)}</div></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </div>
+    </div>
+  `;
 }
 
-// ---------- Recent Transactions ----------
-function renderRecentTransactions() {
-  const list = document.getElementById('recentList');
-  if (!list) return;
-  
-  const txns = getRecentTransactions(10);
-  
-  if (txns.length === 0) {
-    list.innerHTML = '<div class="p-6 text-center text-gray-500">No transactions yet. Add entries in the Budget page.</div>';
+function buildAnnualReportDocument(report) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Year in Review • ${report.range.label}</title>
+  <style>
+    body { margin: 2rem; background: #fff; }
+    ${ANNUAL_REPORT_CSS}
+  </style>
+</head>
+<body>
+  ${buildAnnualReportHTML(report)}
+</body>
+</html>`;
+}
+
+function renderAnnualReport() {
+  const form = document.getElementById('annualControls');
+  const container = document.getElementById('annualReport');
+  if (!form || !container) return;
+
+  const years = getAnnualYears(annualState.kind);
+  if (!years.includes(annualState.startYear)) annualState.startYear = years[0];
+  form.querySelector('[name="kind"]').value = annualState.kind;
+  form.querySelector('[name="startYear"]').innerHTML = years
+    .map(year => `<option value="${year}" ${year === annualState.startYear ? 'selected' : ''}>${getAnnualRange(annualState.kind, year).label}</option>`)
+    .join('');
+
+  container.innerHTML = `<style>${ANNUAL_REPORT_CSS}</style>${buildAnnualReportHTML(getAnnualReport(annualState.kind, annualState.startYear))}`;
+}
+
+function updateAnnualControls(form) {
+  const formData = new FormData(form);
+  // Switching between FY and calendar keeps the start year, so FY 2025–26 becomes 2025
+  annualState = { kind: formData.get('kind'), startYear: Number(formData.get('startYear')) };
+  renderAnnualReport();
+}
+
+function printAnnualReport() {
+  const win = window.open('', '_blank');
+  if (!win) {
+    alert('Allow pop-ups for this page to print the report.');
     return;
   }
-  
-  list.innerHTML = txns.map(t => `
-    <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
-      <div class="flex-1">
-        <div class="font-medium text-gray-900">${t.description || t.category}</div>
-        <div class="text-sm text-gray-500">${new Date(t.date).toLocaleDateString('en-IN')} • ${t.category}</div>
+  win.document.write(buildAnnualReportDocument(getAnnualReport(annualState.kind, annualState.startYear)));
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function downloadAnnualReport() {
+  const report = getAnnualReport(annualState.kind, annualState.startYear);
+  downloadFile(buildAnnualReportDocument(report), `year-in-review-${report.range.label.replace(/\W+/g, '-').toLowerCase()}`, 'html', 'text/html');
+}
+
+// ---------- Tax Summary ----------
+let taxState = { startYear: getFinancialYearStart(new Date()) };
+
+function renderTaxSummary() {
+  const form = document.getElementById('taxControls');
+  const container = document.getElementById('taxSummary');
+  if (!form || !container) return;
+
+  const years = getAnnualYears('fy');
+  if (!years.includes(taxState.startYear)) taxState.startYear = years[0];
+  form.querySelector('[name="startYear"]').innerHTML = years
+    .map(year => `<option value="${year}" ${year === taxState.startYear ? 'selected' : ''}>${getAnnualRange('fy', year).label}</option>`)
+    .join('');
+
+  const summary = getTaxSummary(taxState.startYear);
+  const notices = [];
+  if (summary.untagged.length) {
+    notices.push(`
+      <div class="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center justify-between gap-3">
+        <span>${summary.untagged.length} ${summary.untagged.length === 1 ? 'entry was' : 'entries were'} saved before tax tagging and ${summary.untagged.length === 1 ? 'matches' : 'match'} your mappings.</span>
+        <button type="button" onclick="tagSuggestedTaxEntries()" class="shrink-0 px-3 py-1.5 bg-white border border-yellow-300 rounded-lg font-medium hover:bg-yellow-100">Tag as suggested</button>
       </div>
-      <div class="text-right">
-        <div class="font-semibold ${t.type === 'income' ? 'text-green-600' : 'text-red-600'}">
-          ${t.type === 'income' ? '+' : '-'} ${formatINR(t.amount)}
-        </div>
-        <div class="text-xs text-gray-500">${t.type}</div>
+    `);
+  }
+  if (summary.unsplit.length) {
+    notices.push(`
+      <div class="p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+        ${summary.unsplit.length} ${summary.unsplit.length === 1 ? 'payment is' : 'payments are'} tagged 80C and 24(b) without being linked to a home loan, so the full amount counts under both. Link ${summary.unsplit.length === 1 ? 'it' : 'them'} to a loan marked as a home loan to split principal and interest.
       </div>
+    `);
+  }
+
+  container.innerHTML = `
+    ${notices.length ? `<div class="space-y-3 mb-4">${notices.join('')}</div>` : ''}
+    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+      ${summary.sections.map(section => {
+        const used = Math.min((section.total / section.limit) * 100, 100);
+        return `
+          <div class="p-4 bg-white/60 rounded-xl border border-gray-100">
+            <div class="flex items-start justify-between gap-3">
+              <div>
+                <div class="font-semibold text-gray-900">${section.label}</div>
+                <div class="text-xs text-gray-500">${section.description}</div>
+              </div>
+              ${section.entries.length ? `<button type="button" onclick="showTaxSectionModal('${section.code}')" class="text-sm font-medium text-primary-700 hover:underline whitespace-nowrap">${section.entries.length} entr${section.entries.length === 1 ? 'y' : 'ies'}</button>` : ''}
+            </div>
+            <div class="mt-3 flex items-baseline justify-between text-sm">
+              <span class="text-lg font-bold text-gray-900">${formatMoney(section.total)}</span>
+              <span class="text-gray-500">of ${formatMoney(section.limit)}</span>
+            </div>
+            <div class="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div class="h-full ${section.total >= section.limit ? 'bg-green-500' : 'bg-primary-700'}" style="width: ${used}%"></div>
+            </div>
+            <div class="mt-2 text-sm ${section.total > section.limit ? 'text-red-600' : 'text-gray-600'}">
+              ${section.total > section.limit
+                ? `Limit reached • ${formatMoney(section.total - section.limit)} over`
+                : `${formatMoney(section.headroom)} headroom left`}
+            </div>
+          </div>
+        `;
+      }).join('')}
     </div>
-  `).join('');
+    <div class="mt-4 text-sm text-gray-600">
+      Total claimable for ${summary.range.label}: <span class="font-semibold text-gray-900">${formatMoney(summary.sections.reduce((sum, s) => sum + s.claimable, 0))}</span>
+    </div>
+  `;
 }
 
-// ---------- Budget Page ----------
-let currentBudgetMonth = getMonthKey(new Date());
+function showTaxSectionModal(code) {
+  const section = getTaxSummary(taxState.startYear).sections.find(s => s.code === code);
+  if (!section) return;
 
-function renderBudgetPage(monthKey) {
-  currentBudgetMonth = monthKey;
-  const totals = getTotalsForMonth(monthKey);
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-1">${section.label}</h3>
+      <p class="text-sm text-gray-500 mb-6">${getAnnualRange('fy', taxState.startYear).label} • ${formatMoney(section.total)} of ${formatMoney(section.limit)}</p>
+      <div class="divide-y divide-gray-100">
+        ${section.entries.map(({ entry, amount }) => `
+          <div class="flex items-center justify-between py-3">
+            <div>
+              <div class="font-medium text-gray-900">${escapeHTML(entry.description)}</div>
+              <div class="text-sm text-gray-500">${parseISODate(entry.date).toLocaleDateString('en-IN')} • ${escapeHTML(describeEntryCategory(entry))}</div>
+            </div>
+            <div class="text-right">
+              <div class="font-semibold text-gray-900">${formatMoney(amount)}</div>
+              ${Math.abs(amount - Number(entry.amount)) > 0.005 ? `<div class="text-xs text-gray-500">of ${formatEntryAmount(entry)}</div>` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="flex justify-end pt-6">
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
+    </div>
+  `;
+  showModal(modal);
+}
 
-  document.getElementById('budgetMonthLabel').textContent = formatMonthLabel(monthKey);
-  document.getElementById('remainingBalance').textContent = formatINR(totals.remaining);
+function tagSuggestedTaxEntries() {
+  const { untagged } = getTaxSummary(taxState.startYear);
+  applySuggestedTaxSections(untagged);
+  renderTaxSummary();
+}
 
-  renderEntriesList(monthKey);
+// ---------- Forecast ----------
+let forecastChartInstance = null;
+// An empty starting balance means "use the account balances"
+let forecastState = { months: 6, startingBalance: '' };
+
+function renderForecast() {
+  const form = document.getElementById('forecastControls');
+  if (!form) return;
+
+  const currentBalance = getCurrentCashBalance();
+  form.querySelector('[name="months"]').innerHTML = FORECAST_HORIZONS
+    .map(n => `<option value="${n}" ${n === forecastState.months ? 'selected' : ''}>Next ${n} months</option>`)
+    .join('');
+  const balanceInput = form.querySelector('[name="startingBalance"]');
+  balanceInput.value = forecastState.startingBalance;
+  balanceInput.placeholder = `${currentBalance.toFixed(2)} from accounts`;
+
+  const startingBalance = forecastState.startingBalance === '' ? currentBalance : Number(forecastState.startingBalance);
+  const forecast = getCashFlowForecast(forecastState.months, startingBalance);
+  renderForecastWarning(forecast);
+  renderForecastChart(forecast);
+  renderForecastTable(forecast);
+}
 
-  // ⭐ NEW: Refresh summary table dynamically
-  renderBudgetSummary(monthKey);
+function renderForecastWarning(forecast) {
+  const container = document.getElementById('forecastWarning');
+  if (!container) return;
+  const last = forecast.months[forecast.months.length - 1];
+  const negativeCount = forecast.months.filter(m => m.negative).length;
+
+  container.innerHTML = forecast.firstNegative
+    ? `
+      <div class="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+        ⚠️ Your balance is expected to go negative in <strong>${formatMonthLabel(forecast.firstNegative.monthKey)}</strong>
+        (${formatMoney(forecast.firstNegative.balance)})${negativeCount > 1 ? ` and stay below zero for ${negativeCount} of the next ${forecast.months.length} months` : ''}.
+      </div>
+    `
+    : `
+      <div class="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+        Your balance is expected to stay positive through ${formatMonthLabel(last.monthKey)}, ending at ${formatMoney(last.balance)}.
+      </div>
+    `;
 }
 
+function renderForecastChart(forecast) {
+  const ctx = document.getElementById('forecastChart');
+  if (!ctx) return;
 
-function renderBudgetSummary(monthKey) {
-  const totals = getTotalsForMonth(monthKey);
+  if (forecastChartInstance) {
+    forecastChartInstance.destroy();
+    forecastChartInstance = null;
+  }
 
-  const incomeEl = document.getElementById("summaryIncome");
-  const expenseEl = document.getElementById("summaryExpense");
-  const remainingEl = document.getElementById("summaryRemaining");
+  const months = forecast.months;
+  forecastChartInstance = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: months.map(m => formatMonthLabel(m.monthKey)),
+      datasets: [
+        {
+          type: 'line',
+          label: 'Month-end balance',
+          data: months.map(m => m.balance),
+          borderColor: '#5C5C99',
+          backgroundColor: '#5C5C99',
+          pointBackgroundColor: months.map(m => (m.negative ? '#ef4444' : '#5C5C99')),
+          pointRadius: months.map(m => (m.negative ? 6 : 4)),
+          tension: 0.3
+        },
+        {
+          label: 'Net cash flow',
+          data: months.map(m => m.net),
+          backgroundColor: months.map(m => (m.net < 0 ? 'rgba(239, 68, 68, 0.5)' : 'rgba(16, 185, 129, 0.5)')),
+          borderRadius: 4
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          callbacks: {
+            label: item => `${item.dataset.label}: ${formatMoney(item.raw)}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          ticks: { callback: value => formatMoney(value) },
+          grid: { color: context => (context.tick.value === 0 ? '#9ca3af' : '#e5e7eb') }
+        }
+      }
+    }
+  });
+}
 
-  if (!incomeEl || !expenseEl || !remainingEl) return;
+function renderForecastTable(forecast) {
+  const table = document.getElementById('forecastTable');
+  if (!table) return;
+  const historyMonths = getForecastHistoryMonths().length;
+
+  table.innerHTML = `
+    <div class="overflow-x-auto">
+      <table class="w-full text-sm">
+        <thead>
+          <tr class="text-left text-gray-600 border-b border-gray-200">
+            <th class="py-2 pr-3 font-medium">Month</th>
+            <th class="py-2 px-3 font-medium text-right">Income</th>
+            <th class="py-2 px-3 font-medium text-right">Spending</th>
+            <th class="py-2 px-3 font-medium text-right">Loan EMIs</th>
+            <th class="py-2 px-3 font-medium text-right">Goals</th>
+            <th class="py-2 px-3 font-medium text-right">Net</th>
+            <th class="py-2 pl-3 font-medium text-right">Balance</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-gray-100">
+          <tr class="text-gray-500">
+            <td class="py-2 pr-3" colspan="6">Starting balance</td>
+            <td class="py-2 pl-3 text-right">${formatMoney(forecast.startingBalance)}</td>
+          </tr>
+          ${forecast.months.map(m => `
+            <tr class="${m.negative ? 'bg-red-50' : ''}">
+              <td class="py-2 pr-3 font-medium text-gray-900">${formatMonthLabel(m.monthKey)}</td>
+              <td class="py-2 px-3 text-right text-green-600">${formatMoney(m.income)}</td>
+              <td class="py-2 px-3 text-right text-red-600">${formatMoney(m.spending)}</td>
+              <td class="py-2 px-3 text-right text-red-600">${formatMoney(m.emi)}</td>
+              <td class="py-2 px-3 text-right text-blue-600">${formatMoney(m.goals)}</td>
+              <td class="py-2 px-3 text-right ${m.net < 0 ? 'text-red-600' : 'text-gray-900'}">${formatMoney(m.net)}</td>
+              <td class="py-2 pl-3 text-right font-semibold ${m.negative ? 'text-red-600' : 'text-gray-900'}">${formatMoney(m.balance)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="mt-4 text-sm text-gray-600 bg-gray-50 p-3 rounded-lg space-y-1">
+      <div>
+        ${forecast.incomeSource === 'recurring'
+          ? 'Income comes from your recurring income templates.'
+          : `Income is the average of the last ${historyMonths} month${historyMonths === 1 ? '' : 's'}. Add recurring income for a firmer forecast.`}
+      </div>
+      <div>
+        Spending is your recurring expenses plus the average of the last ${historyMonths} month${historyMonths === 1 ? '' : 's'}${forecast.categories.length ? `: ${forecast.categories.slice(0, 5).map(c => `${escapeHTML(c.category)} ${formatMoney(c.amount)}`).join(', ')}${forecast.categories.length > 5 ? ` and ${forecast.categories.length - 5} more` : ''}` : ''}.
+      </div>
+    </div>
+  `;
+}
 
-  incomeEl.textContent = formatINR(totals.income);
-  expenseEl.textContent = formatINR(totals.expense);
-  remainingEl.textContent = formatINR(totals.remaining);
+function updateForecastControls(form) {
+  const formData = new FormData(form);
+  forecastState = {
+    months: Number(formData.get('months')) || 6,
+    startingBalance: formData.get('startingBalance').trim()
+  };
+  renderForecast();
 }
 
+// ---------- Accounts Page ----------
+function renderAccountsPage() {
+  const list = document.getElementById('accountsList');
+  const totalEl = document.getElementById('accountsTotal');
+  const accounts = store.accounts;
+  const balances = accounts.map(a => getAccountBalance(a.id));
 
-function renderEntriesList(monthKey) {
-  const list = document.getElementById('entriesList');
-  const entries = store.entries[monthKey] || [];
-  
-  if (entries.length === 0) {
-    list.innerHTML = '<div class="p-6 text-center text-gray-500">No entries for this month. Click "Add Entry" to start.</div>';
+  if (totalEl) totalEl.textContent = formatMoney(balances.reduce((sum, b) => sum + b, 0));
+
+  if (accounts.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No accounts yet. Click "Add Account" to start tracking balances.</div>';
     return;
   }
-  
-  list.innerHTML = entries.map(e => `
+
+  const cardPayments = getCreditCardAccounts().length ? getCardPaymentExpenses().length : 0;
+
+  list.innerHTML = (cardPayments ? `
+    <div class="p-4 mb-2 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center justify-between gap-3">
+      <span>${cardPayments} card bill payment${cardPayments === 1 ? ' is' : 's are'} recorded as "Credit Card" expense${cardPayments === 1 ? '' : 's'}, which counts your spending twice.</span>
+      <button onclick="showConvertCardPaymentsModal()" class="shrink-0 px-3 py-1.5 bg-white border border-yellow-300 rounded-lg font-medium hover:bg-yellow-100">Convert to transfers</button>
+    </div>
+  ` : '') + accounts.map((account, i) => `
     <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
       <div class="flex-1">
-        <div class="font-medium text-gray-900">${e.description || e.category}</div>
-        <div class="text-sm text-gray-500">${new Date(e.date).toLocaleDateString('en-IN')} • ${e.category}</div>
-        ${e.note ? `<div class="text-xs text-gray-400 mt-1">${e.note}</div>` : ''}
+        <div class="font-semibold text-gray-900">${escapeHTML(account.name)}</div>
+        <div class="text-sm text-gray-500">${ACCOUNT_KINDS[account.kind] || 'Account'}</div>
+        ${account.kind === 'credit' ? renderCreditCardSummary(account) : ''}
       </div>
       <div class="flex items-center gap-3">
         <div class="text-right">
-          <div class="font-semibold ${e.type === 'income' ? 'text-green-600' : 'text-red-600'}">
-            ${e.type === 'income' ? '+' : '-'} ${formatINR(e.amount)}
-          </div>
-          <div class="text-xs text-gray-500">${e.type}</div>
+          <div class="font-semibold ${balances[i] < 0 ? 'text-red-600' : 'text-gray-900'}">${formatMoney(balances[i])}</div>
+          <button onclick="showAccountLedgerModal('${account.id}')" class="text-xs text-primary-700 hover:underline">View ledger</button>
         </div>
         <div class="flex gap-1">
-          <button onclick="editEntry('${e.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+          <button onclick="showAccountModal('${account.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
             </svg>
           </button>
-          <button onclick="confirmDeleteEntry('${e.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+          <button onclick="confirmDeleteAccount('${account.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
             </svg>
@@ -1120,332 +6074,296 @@ function renderEntriesList(monthKey) {
   `).join('');
 }
 
-function showAddEntryModal() {
-  const expenseCategories = store.settings.expenseCategories;
-  const incomeCategories = ['Salary', 'Others'];
-  
+function renderCreditCardSummary(account) {
+  const card = getCreditCardStatus(account);
+  return `
+    <div class="text-xs text-gray-500 mt-1">
+      ${card.amountDue > 0
+        ? `<span class="${card.isOverdue ? 'text-red-600 font-semibold' : 'text-gray-700'}">${formatMoney(card.amountDue)} due ${card.dueDate.toLocaleDateString('en-IN')}${card.isOverdue ? ' (overdue)' : ''}</span>`
+        : 'No amount due'}
+      • ${formatMoney(card.currentCycleSpend)} this cycle
+      ${card.utilisation !== null ? `• ${card.utilisation.toFixed(0)}% of limit used` : ''}
+    </div>
+  `;
+}
+
+function showConvertCardPaymentsModal() {
+  const cards = getCreditCardAccounts();
+  const payments = getCardPaymentExpenses();
+  const sources = store.accounts.filter(a => a.kind !== 'credit');
+
+  if (sources.length === 0) {
+    alert('Add the bank account you pay the card from first.');
+    return;
+  }
+
   const modal = `
-    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl">
-      <h3 class="text-2xl font-bold mb-6">Add Entry</h3>
-      <form id="entryForm" class="space-y-4">
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-2">Convert Card Payments</h3>
+      <p class="text-sm text-gray-500 mb-6">${payments.length} "Credit Card" expense${payments.length === 1 ? '' : 's'} will become transfers, so only the card swipes count as spending.</p>
+      <form id="convertCardPaymentsForm" class="space-y-4">
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
-          <select name="type" id="entryType" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
-            <option value="expense">Expense</option>
-            <option value="income">Income</option>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Card</label>
+          <select name="cardAccountId" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            ${cards.map(a => `<option value="${a.id}">${escapeHTML(a.name)}</option>`).join('')}
           </select>
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Category</label>
-          <select name="category" id="categorySelect" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
-            ${expenseCategories.map(c => `<option value="${c}">${c}</option>`).join('')}
+          <label class="block text-sm font-medium text-gray-700 mb-2">Paid From</label>
+          <select name="fromAccountId" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            ${sources.map(a => `<option value="${a.id}">${escapeHTML(a.name)}</option>`).join('')}
           </select>
-          <div id="customCategoryContainer" class="hidden mt-2">
-            <input type="text" id="customCategory" name="customCategory" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Enter custom category">
-          </div>
-        </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
-          <input type="text" name="description" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Monthly rent payment">
-        </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Amount (₹)</label>
-          <input type="number" name="amount" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
-        </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
-          <input type="date" name="date" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${new Date().toISOString().split('T')[0]}">
-        </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
-          <textarea name="note" rows="3" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Additional notes..."></textarea>
+          <p class="mt-1 text-xs text-gray-500">Used for payments that don't already have an account.</p>
         </div>
         <div class="flex gap-3 pt-4">
-          <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Add Entry</button>
+          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Convert</button>
           <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
         </div>
       </form>
     </div>
   `;
-  
+
   showModal(modal);
-  
-  const typeSelect = document.getElementById('entryType');
-  const categorySelect = document.getElementById('categorySelect');
-  const customCategoryContainer = document.getElementById('customCategoryContainer');
-  const customCategoryInput = document.getElementById('customCategory');
-  
-  typeSelect.addEventListener('change', function() {
-    updateCategoryOptions(this.value);
-  });
-  
-  categorySelect.addEventListener('change', function() {
-    if (typeSelect.value === 'income' && this.value === 'Others') {
-      customCategoryContainer.classList.remove('hidden');
-      customCategoryInput.required = true;
-    } else {
-      customCategoryContainer.classList.add('hidden');
-      customCategoryInput.required = false;
-    }
-  });
-  
-  function updateCategoryOptions(type) {
-    const currentValue = categorySelect.value;
-    
-    if (type === 'income') {
-      categorySelect.innerHTML = incomeCategories.map(c => `<option value="${c}">${c}</option>`).join('');
-      
-      if (currentValue === 'Others') {
-        customCategoryContainer.classList.remove('hidden');
-        customCategoryInput.required = true;
-      }
-    } else {
-      categorySelect.innerHTML = expenseCategories.map(c => `<option value="${c}">${c}</option>`).join('');
-      customCategoryContainer.classList.add('hidden');
-      customCategoryInput.required = false;
-    }
-  }
-  
-  document.getElementById('entryForm').addEventListener('submit', (e) => {
+
+  document.getElementById('convertCardPaymentsForm').addEventListener('submit', (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
-    
-    let category = formData.get('category');
-    
-    if (typeSelect.value === 'income' && category === 'Others' && customCategoryInput.value.trim()) {
-      category = customCategoryInput.value.trim();
-      addCustomCategory(category);
-    }
-    
-    const entry = {
-      type: formData.get('type'),
-      category: category,
-      description: formData.get('description'),
-      amount: parseFloat(formData.get('amount')),
-      date: formData.get('date'),
-      note: formData.get('note')
-    };
-    addEntry(entry);
+    const count = convertCardPaymentsToTransfers(formData.get('cardAccountId'), formData.get('fromAccountId'));
     hideModal();
-    renderBudgetPage(currentBudgetMonth);
+    alert(`Converted ${count} payment${count === 1 ? '' : 's'} to transfers.`);
+    renderAccountsPage();
   });
 }
 
-function editEntry(id) {
-  let entry;
-  for (const arr of Object.values(store.entries)) {
-    entry = arr.find(e => e.id === id);
-    if (entry) break;
-  }
-  if (!entry) return;
-  
-  const expenseCategories = store.settings.expenseCategories;
-  const incomeCategories = ['Salary', 'Others'];
-  
-  const isCustomIncome = entry.type === 'income' && !incomeCategories.includes(entry.category);
-  const selectedCategory = isCustomIncome ? 'Others' : entry.category;
-  
-  const modal = `
-    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl">
-      <h3 class="text-2xl font-bold mb-6">Edit Entry</h3>
-      <form id="editEntryForm" class="space-y-4">
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
-          <select name="type" id="editEntryType" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
-            <option value="expense" ${entry.type === 'expense' ? 'selected' : ''}>Expense</option>
-            <option value="income" ${entry.type === 'income' ? 'selected' : ''}>Income</option>
-          </select>
-        </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Category</label>
-          <select name="category" id="editCategorySelect" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
-            ${entry.type === 'income' 
-              ? incomeCategories.map(c => `<option value="${c}" ${selectedCategory === c ? 'selected' : ''}>${c}</option>`).join('')
-              : expenseCategories.map(c => `<option value="${c}" ${entry.category === c ? 'selected' : ''}>${c}</option>`).join('')
-            }
-          </select>
-          <div id="editCustomCategoryContainer" class="${isCustomIncome ? '' : 'hidden'} mt-2">
-            <input type="text" id="editCustomCategory" name="customCategory" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Enter custom category" value="${isCustomIncome ? entry.category : ''}">
-          </div>
-        </div>
+function showAccountModal(id) {
+  const account = id ? store.accounts.find(a => a.id === id) : null;
+  const a = account || { name: '', kind: 'bank', openingBalance: 0 };
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-6">${account ? 'Edit' : 'Add'} Account</h3>
+      <form id="accountForm" class="space-y-4">
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
-          <input type="text" name="description" value="${entry.description || ''}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Account Name</label>
+          <input type="text" name="name" value="${escapeHTML(a.name)}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., HDFC Salary Account">
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Amount (₹)</label>
-          <input type="number" name="amount" step="0.01" value="${entry.amount}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Type</label>
+          <select name="kind" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            ${Object.entries(ACCOUNT_KINDS).map(([value, label]) => `<option value="${value}" ${a.kind === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
-          <input type="date" name="date" value="${entry.date}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Opening Balance (${getCurrencySymbol()})</label>
+          <input type="number" name="openingBalance" step="0.01" value="${a.openingBalance}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <p class="mt-1 text-xs text-gray-500">Balance before the first entry you record here. Use a negative amount for money owed.</p>
         </div>
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Note (optional)</label>
-          <textarea name="note" rows="3" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">${entry.note || ''}</textarea>
+        <div id="creditFields" class="${a.kind === 'credit' ? '' : 'hidden'} space-y-4">
+          <div class="grid grid-cols-2 gap-4">
+            <div class="field">
+              <label class="block text-sm font-medium text-gray-700 mb-2">Statement Day</label>
+              <input type="number" name="statementDay" min="1" max="31" step="1" value="${a.statementDay || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., 15">
+            </div>
+            <div class="field">
+              <label class="block text-sm font-medium text-gray-700 mb-2">Due Day</label>
+              <input type="number" name="dueDay" min="1" max="31" step="1" value="${a.dueDay || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., 5">
+            </div>
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Credit Limit (${getCurrencySymbol()})</label>
+            <input type="number" name="creditLimit" min="0" step="0.01" value="${a.creditLimit || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+          </div>
         </div>
         <div class="flex gap-3 pt-4">
-          <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Update Entry</button>
+          <button type="submit" class="flex-1 ${account ? 'bg-primary-600 hover:bg-primary-700' : 'bg-accent-500 hover:bg-accent-600'} text-white px-6 py-3 rounded-lg font-medium transition-colors">${account ? 'Update' : 'Add'} Account</button>
           <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
         </div>
       </form>
     </div>
   `;
-  
+
   showModal(modal);
-  
-  const typeSelect = document.getElementById('editEntryType');
-  const categorySelect = document.getElementById('editCategorySelect');
-  const customCategoryContainer = document.getElementById('editCustomCategoryContainer');
-  const customCategoryInput = document.getElementById('editCustomCategory');
-  
-  typeSelect.addEventListener('change', function() {
-    updateCategoryOptions(this.value);
-  });
-  
-  categorySelect.addEventListener('change', function() {
-    if (typeSelect.value === 'income' && this.value === 'Others') {
-      customCategoryContainer.classList.remove('hidden');
-      customCategoryInput.required = true;
-    } else {
-      customCategoryContainer.classList.add('hidden');
-      customCategoryInput.required = false;
-    }
+
+  const creditFields = document.getElementById('creditFields');
+  document.querySelector('#accountForm [name="kind"]').addEventListener('change', function() {
+    creditFields.classList.toggle('hidden', this.value !== 'credit');
+    creditFields.querySelectorAll('input').forEach(input => { input.required = this.value === 'credit'; });
   });
-  
-  function updateCategoryOptions(type) {
-    if (type === 'income') {
-      categorySelect.innerHTML = incomeCategories.map(c => `<option value="${c}">${c}</option>`).join('');
-      
-      if (categorySelect.value === 'Others') {
-        customCategoryContainer.classList.remove('hidden');
-        customCategoryInput.required = true;
-      }
-    } else {
-      categorySelect.innerHTML = expenseCategories.map(c => `<option value="${c}">${c}</option>`).join('');
-      customCategoryContainer.classList.add('hidden');
-      customCategoryInput.required = false;
-    }
-  }
-  
-  document.getElementById('editEntryForm').addEventListener('submit', (e) => {
+  creditFields.querySelectorAll('input').forEach(input => { input.required = a.kind === 'credit'; });
+
+  document.getElementById('accountForm').addEventListener('submit', (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
-    
-    let category = formData.get('category');
-    
-    if (typeSelect.value === 'income' && category === 'Others' && customCategoryInput.value.trim()) {
-      category = customCategoryInput.value.trim();
-      addCustomCategory(category);
-    }
-    
-    const updates = {
-      type: formData.get('type'),
-      category: category,
-      description: formData.get('description'),
-      amount: parseFloat(formData.get('amount')),
-      date: formData.get('date'),
-      note: formData.get('note')
+    const isCredit = formData.get('kind') === 'credit';
+    const data = {
+      name: formData.get('name').trim(),
+      kind: formData.get('kind'),
+      openingBalance: parseFloat(formData.get('openingBalance')) || 0,
+      statementDay: isCredit ? parseInt(formData.get('statementDay'), 10) : null,
+      dueDay: isCredit ? parseInt(formData.get('dueDay'), 10) : null,
+      creditLimit: isCredit ? parseFloat(formData.get('creditLimit')) || 0 : null
     };
-    updateEntry(id, updates);
+
+    if (account) {
+      updateAccount(id, data);
+    } else {
+      addAccount(data);
+    }
     hideModal();
-    renderBudgetPage(currentBudgetMonth);
+    renderAccountsPage();
   });
 }
 
-function confirmDeleteEntry(id) {
-  if (confirm('Are you sure you want to delete this entry?')) {
-    deleteEntry(id);
-    renderBudgetPage(currentBudgetMonth);
+function confirmDeleteAccount(id) {
+  const transfers = Object.values(store.entries)
+    .flat()
+    .filter(e => e.type === 'transfer' && (e.accountId === id || e.toAccountId === id)).length;
+  const message = transfers
+    ? `Delete this account? Its entries will be kept without an account, and ${transfers} transfer${transfers === 1 ? '' : 's'} to or from it will be deleted.`
+    : 'Delete this account? Its entries will be kept without an account.';
+  if (confirm(message)) {
+    deleteAccount(id);
+    renderAccountsPage();
   }
 }
 
-function renderBudgetSummary(monthKey) {
-  const totals = getTotalsForMonth(monthKey);
-
-  const incomeEl = document.getElementById('summaryIncome');
-  const expenseEl = document.getElementById('summaryExpense');
-  const remainingEl = document.getElementById('summaryRemaining');
+function showAccountLedgerModal(id) {
+  const account = store.accounts.find(a => a.id === id);
+  if (!account) return;
+  const ledger = getAccountLedger(id);
 
-  if (!incomeEl || !expenseEl || !remainingEl) return;
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-4xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <div class="flex justify-between items-start mb-6">
+        <div>
+          <h3 class="text-2xl font-bold mb-2">${escapeHTML(account.name)} — Ledger</h3>
+          <p class="text-sm text-gray-500">
+            Opening ${formatMoney(account.openingBalance || 0)} • Current ${formatMoney(getAccountBalance(id))}
+          </p>
+        </div>
+        <button onclick="showTransferModal(null, '${account.id}')" class="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg font-medium transition-colors">⇄ Transfer</button>
+      </div>
+      ${ledger.length === 0 ? `
+        <div class="p-6 text-center text-gray-500">No entries in this account yet. Choose it under "Account" when adding entries.</div>
+      ` : `
+        <div class="overflow-x-auto border border-gray-200 rounded-lg">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Date</th>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Description</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">In</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Out</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${ledger.map(row => `
+                <tr class="border-t border-gray-100">
+                  <td class="px-3 py-2 whitespace-nowrap">${new Date(row.entry.date).toLocaleDateString('en-IN')}</td>
+                  <td class="px-3 py-2">
+                    <div>${escapeHTML(row.entry.description || row.entry.category)}</div>
+                    <div class="text-xs text-gray-500">${escapeHTML(describeEntryCategory(row.entry))}</div>
+                  </td>
+                  <td class="px-3 py-2 text-right text-green-600">${row.amount > 0 ? formatMoney(row.amount) : ''}</td>
+                  <td class="px-3 py-2 text-right text-red-600">${row.amount < 0 ? formatMoney(-row.amount) : ''}</td>
+                  <td class="px-3 py-2 text-right font-medium ${row.balance < 0 ? 'text-red-600' : ''}">${formatMoney(row.balance)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+      <div class="flex justify-end pt-6">
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
+    </div>
+  `;
 
-  incomeEl.textContent = formatINR(totals.income);
-  expenseEl.textContent = formatINR(totals.expense);
-  remainingEl.textContent = formatINR(totals.remaining);
+  showModal(modal);
 }
 
+function showTransferModal(id, fromAccountId) {
+  const existing = id ? Object.values(store.entries).flat().find(e => e.id === id) : null;
+  const t = existing || { accountId: fromAccountId, toAccountId: null, amount: '', date: toISODate(new Date()), description: '', note: '' };
 
-// ---------- Savings Page ----------
-function renderSavingsPage() {
-  const list = document.getElementById('savingsList');
-  const savingsEntries = Object.values(store.entries)
-    .flat()
-    .filter(e => e.type === 'expense' && e.category === 'Savings')
-    .sort((a, b) => new Date(b.date) - new Date(a.date));
-  
-  if (savingsEntries.length === 0) {
-    list.innerHTML = '<div class="p-6 text-center text-gray-500">No savings entries yet. Click "Add Savings" to start.</div>';
+  if (store.accounts.length < 2) {
+    alert('Add at least two accounts to record a transfer.');
     return;
   }
-  
-  const totalSavings = savingsEntries.reduce((sum, e) => sum + Number(e.amount), 0);
-  
-  list.innerHTML = `
-    <div class="p-6 bg-gradient-to-br from-green-50 to-emerald-50 border-b">
-      <div class="text-sm text-gray-600 font-medium">Total Savings</div>
-      <div class="text-3xl font-bold text-green-700 mt-1">${formatINR(totalSavings)}</div>
-    </div>
-    ${savingsEntries.map(e => `
-      <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
-        <div class="flex-1">
-          <div class="font-medium text-gray-900">${e.description}</div>
-          <div class="text-sm text-gray-500">${new Date(e.date).toLocaleDateString('en-IN')}</div>
-        </div>
-        <div class="text-right font-semibold text-green-600">
-          ${formatINR(e.amount)}
-        </div>
-      </div>
-    `).join('')}
-  `;
-}
 
-function showAddSavingsModal() {
+  const accountOptions = selected => store.accounts
+    .map(a => `<option value="${a.id}" ${selected === a.id ? 'selected' : ''}>${escapeHTML(a.name)}</option>`)
+    .join('');
+
   const modal = `
     <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
-      <h3 class="text-2xl font-bold mb-6">Add Savings</h3>
-      <form id="savingsForm" class="space-y-4">
-        <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
-          <input type="text" name="description" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Monthly savings">
+      <h3 class="text-2xl font-bold mb-6">${existing ? 'Edit' : 'New'} Transfer</h3>
+      <form id="transferForm" class="space-y-4">
+        <div class="grid grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <select name="accountId" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              ${accountOptions(t.accountId)}
+            </select>
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">To</label>
+            <select name="toAccountId" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              ${accountOptions(t.toAccountId || store.accounts.find(a => a.id !== t.accountId)?.id)}
+            </select>
+          </div>
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Amount (₹)</label>
-          <input type="number" name="amount" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Amount (${getCurrencySymbol()})</label>
+          <input type="number" name="amount" step="0.01" min="0" value="${t.amount}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
         </div>
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Date</label>
-          <input type="date" name="date" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" value="${new Date().toISOString().split('T')[0]}">
+          <input type="date" name="date" value="${t.date}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description (optional)</label>
+          <input type="text" name="description" value="${escapeHTML(t.description || '')}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Credit card bill payment">
         </div>
         <div class="flex gap-3 pt-4">
-          <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Add Savings</button>
+          <button type="submit" class="flex-1 ${existing ? 'bg-primary-600 hover:bg-primary-700' : 'bg-accent-500 hover:bg-accent-600'} text-white px-6 py-3 rounded-lg font-medium transition-colors">${existing ? 'Update' : 'Record'} Transfer</button>
           <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
         </div>
       </form>
     </div>
   `;
-  
+
   showModal(modal);
-  
-  document.getElementById('savingsForm').addEventListener('submit', (e) => {
+
+  document.getElementById('transferForm').addEventListener('submit', (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
-    addSavings(
-      formData.get('amount'),
-      formData.get('description'),
-      formData.get('date')
-    );
+    const from = formData.get('accountId');
+    const to = formData.get('toAccountId');
+    const amount = parseFloat(formData.get('amount'));
+
+    if (from === to) {
+      alert('Choose two different accounts.');
+      return;
+    }
+    if (!(amount > 0)) {
+      alert('Amount must be greater than zero.');
+      return;
+    }
+
+    const description = formData.get('description').trim() || `Transfer to ${getAccountName(to)}`;
+    if (existing) {
+      updateEntry(id, { accountId: from, toAccountId: to, amount, date: formData.get('date'), description });
+    } else {
+      addTransfer(from, to, amount, formData.get('date'), description);
+    }
     hideModal();
-    renderSavingsPage();
+    if (activePage === 'accounts') {
+      renderAccountsPage();
+    } else {
+      refreshEntryViews();
+    }
   });
 }
 
@@ -1460,15 +6378,17 @@ function renderLoansPage() {
   }
   
   list.innerHTML = loans.map(loan => {
-    const remaining = loan.principal - (loan.paidAmount || 0);
-    const progress = ((loan.paidAmount || 0) / loan.principal) * 100;
+    const status = getLoanRepaymentStatus(loan);
+    const remaining = status.outstanding;
+    const progress = status.progress;
+    const summary = getLoanScheduleSummary(loan);
     
     return `
       <div class="p-4 hover:bg-gray-50 transition-colors">
         <div class="flex items-start justify-between mb-3">
           <div class="flex-1">
-            <div class="font-semibold text-gray-900 text-lg">${loan.name}</div>
-            <div class="text-sm text-gray-500 mt-1">${loan.lender || 'Lender not specified'}</div>
+            <div class="font-semibold text-gray-900 text-lg">${escapeHTML(loan.name)}</div>
+            <div class="text-sm text-gray-500 mt-1">${escapeHTML(loan.lender || 'Lender not specified')}</div>
           </div>
           <div class="flex gap-1">
             <button onclick="editLoan('${loan.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
@@ -1486,7 +6406,7 @@ function renderLoansPage() {
         <div class="grid grid-cols-2 gap-4 mb-3">
           <div>
             <div class="text-xs text-gray-500">Principal</div>
-            <div class="font-semibold text-gray-900">${formatINR(loan.principal)}</div>
+            <div class="font-semibold text-gray-900">${formatMoney(loan.principal)}</div>
           </div>
           <div>
             <div class="text-xs text-gray-500">Interest Rate</div>
@@ -1494,22 +6414,407 @@ function renderLoansPage() {
           </div>
           <div>
             <div class="text-xs text-gray-500">Paid</div>
-            <div class="font-semibold text-green-600">${formatINR(loan.paidAmount || 0)}</div>
+            <div class="font-semibold text-green-600">${formatMoney(status.totalPaid)}</div>
           </div>
           <div>
             <div class="text-xs text-gray-500">Remaining</div>
-            <div class="font-semibold text-red-600">${formatINR(remaining)}</div>
+            <div class="font-semibold text-red-600">${formatMoney(remaining)}</div>
           </div>
         </div>
+        ${summary ? `
+          <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-3 p-3 bg-gray-50 rounded-lg">
+            <div>
+              <div class="text-xs text-gray-500">EMI</div>
+              <div class="font-semibold text-gray-900">${formatMoney(summary.emi)}</div>
+            </div>
+            <div>
+              <div class="text-xs text-gray-500">Interest Paid So Far</div>
+              <div class="font-semibold text-gray-900">${formatMoney(status.interestPaid)}</div>
+            </div>
+            <div>
+              <div class="text-xs text-gray-500">Total Interest Cost</div>
+              <div class="font-semibold text-gray-900">${formatMoney(summary.totalInterest)}</div>
+            </div>
+            <div>
+              <div class="text-xs text-gray-500">Payoff Date</div>
+              <div class="font-semibold text-gray-900">${formatMonthLabel(getMonthKey(parseISODate(summary.payoffDate)))}</div>
+            </div>
+          </div>
+        ` : hasLoanSchedule(loan) ? `
+          <div class="mb-3 p-3 bg-red-50 rounded-lg text-sm text-red-700">The EMI does not cover the monthly interest, so this loan would never be repaid.</div>
+        ` : `
+          <div class="mb-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-500">Add a tenure and EMI start date to see the repayment schedule.</div>
+        `}
         <div class="w-full bg-gray-200 rounded-full h-2.5">
           <div class="bg-accent-500 h-2.5 rounded-full transition-all" style="width: ${progress}%"></div>
         </div>
-        <div class="text-xs text-gray-500 mt-1">${progress.toFixed(1)}% paid</div>
+        <div class="flex justify-between items-center mt-1">
+          <div class="text-xs text-gray-500">${progress.toFixed(1)}% of principal repaid • ${status.payments.length} ${status.payments.length === 1 ? 'payment' : 'payments'}</div>
+          <div class="flex gap-4">
+            <button onclick="showLoanPaymentsModal('${loan.id}')" class="text-sm text-primary-700 hover:underline font-medium">Payments</button>
+            ${summary ? `
+              <button onclick="showPrepaymentSimulator('${loan.id}')" class="text-sm text-primary-700 hover:underline font-medium">Simulate Prepayment</button>
+              <button onclick="showAmortisationModal('${loan.id}')" class="text-sm text-primary-700 hover:underline font-medium">View Schedule</button>
+            ` : ''}
+          </div>
+        </div>
       </div>
     `;
   }).join('');
 }
 
+function showLoanPaymentsModal(id) {
+  const loan = store.loans.find(l => l.id === id);
+  if (!loan) return;
+  const status = getLoanRepaymentStatus(loan);
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-4xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <div class="flex justify-between items-start mb-6">
+        <div>
+          <h3 class="text-2xl font-bold mb-2">${escapeHTML(loan.name)} — Payments</h3>
+          <p class="text-sm text-gray-500">
+            ${formatMoney(status.totalPaid)} paid • ${formatMoney(status.interestPaid)} interest • ${formatMoney(status.outstanding)} outstanding
+          </p>
+        </div>
+        <button onclick="recordLoanPayment('${loan.id}')" class="bg-accent-500 hover:bg-accent-600 text-white px-4 py-2 rounded-lg font-medium transition-colors">+ Record Payment</button>
+      </div>
+      ${loan.principalRepaidBefore ? `
+        <p class="mb-4 text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">Includes ${formatMoney(loan.principalRepaidBefore)} of principal repaid before tracking started.</p>
+      ` : ''}
+      ${status.payments.length === 0 ? `
+        <div class="p-6 text-center text-gray-500">No payments linked yet. Record EMIs as expense entries and choose this loan under "Loan Repayment".</div>
+      ` : `
+        <div class="overflow-x-auto border border-gray-200 rounded-lg">
+          <table class="w-full text-sm">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Date</th>
+                <th class="px-3 py-2 text-left font-medium text-gray-600">Description</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Amount</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Principal</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Interest</th>
+                <th class="px-3 py-2 text-right font-medium text-gray-600">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${status.payments.map(p => `
+                <tr class="border-t border-gray-100">
+                  <td class="px-3 py-2 whitespace-nowrap">${new Date(p.entry.date).toLocaleDateString('en-IN')}</td>
+                  <td class="px-3 py-2">${escapeHTML(p.entry.description || p.entry.category)}</td>
+                  <td class="px-3 py-2 text-right">${formatMoney(p.amount)}</td>
+                  <td class="px-3 py-2 text-right">${formatMoney(p.principal)}</td>
+                  <td class="px-3 py-2 text-right">${formatMoney(p.interest)}</td>
+                  <td class="px-3 py-2 text-right">${formatMoney(p.balanceAfter)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `}
+      <div class="flex justify-end pt-6">
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
+    </div>
+  `;
+
+  showModal(modal);
+}
+
+function recordLoanPayment(id) {
+  const loan = store.loans.find(l => l.id === id);
+  if (!loan) return;
+  const categories = store.settings.expenseCategories;
+  showAddEntryModal({
+    type: 'expense',
+    category: categories.includes(loan.name) ? loan.name : categories.includes('EMI') ? 'EMI' : undefined,
+    description: `${loan.name} EMI`,
+    amount: hasLoanSchedule(loan) ? Number(getLoanEMI(loan).toFixed(2)) : '',
+    loanId: loan.id
+  });
+}
+
+function showAmortisationModal(id) {
+  const loan = store.loans.find(l => l.id === id);
+  if (!loan) return;
+  const summary = getLoanScheduleSummary(loan);
+  if (!summary) return;
+
+  const today = toISODate(new Date());
+  const hasPrepayments = summary.totalPrepaid > 0;
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-4xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">${escapeHTML(loan.name)} — Amortisation Schedule</h3>
+      <p class="text-sm text-gray-500 mb-6">
+        ${formatMoney(loan.principal)} at ${loan.interestRate}% • EMI ${formatMoney(summary.emi)} • ${summary.schedule.length} instalments
+      </p>
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <div class="text-xs text-gray-500">Total Interest</div>
+          <div class="font-semibold text-gray-900">${formatMoney(summary.totalInterest)}</div>
+        </div>
+        <div>
+          <div class="text-xs text-gray-500">Total Payable</div>
+          <div class="font-semibold text-gray-900">${formatMoney(summary.totalPayment)}</div>
+        </div>
+        <div>
+          <div class="text-xs text-gray-500">Instalments Paid</div>
+          <div class="font-semibold text-gray-900">${summary.instalmentsPaid} of ${summary.schedule.length}</div>
+        </div>
+        <div>
+          <div class="text-xs text-gray-500">Payoff Date</div>
+          <div class="font-semibold text-gray-900">${formatMonthLabel(getMonthKey(parseISODate(summary.payoffDate)))}</div>
+        </div>
+      </div>
+      <div class="overflow-x-auto border border-gray-200 rounded-lg">
+        <table class="w-full text-sm">
+          <thead class="bg-gray-50">
+            <tr>
+              <th class="px-3 py-2 text-left font-medium text-gray-600">#</th>
+              <th class="px-3 py-2 text-left font-medium text-gray-600">Month</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">EMI</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Principal</th>
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Interest</th>
+              ${hasPrepayments ? '<th class="px-3 py-2 text-right font-medium text-gray-600">Prepayment</th>' : ''}
+              <th class="px-3 py-2 text-right font-medium text-gray-600">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${summary.schedule.map(row => `
+              <tr class="border-t border-gray-100 ${row.date <= today ? 'text-gray-400' : ''}">
+                <td class="px-3 py-2">${row.month}</td>
+                <td class="px-3 py-2 whitespace-nowrap">${parseISODate(row.date).toLocaleString('en-IN', { month: 'short', year: 'numeric' })}</td>
+                <td class="px-3 py-2 text-right">${formatMoney(row.payment)}</td>
+                <td class="px-3 py-2 text-right">${formatMoney(row.principal)}</td>
+                <td class="px-3 py-2 text-right">${formatMoney(row.interest)}</td>
+                ${hasPrepayments ? `<td class="px-3 py-2 text-right">${row.prepayment ? formatMoney(row.prepayment) : ''}</td>` : ''}
+                <td class="px-3 py-2 text-right">${formatMoney(row.closingBalance)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="flex justify-end pt-6">
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
+    </div>
+  `;
+
+  showModal(modal);
+}
+
+// ---------- Prepayment Simulator ----------
+let prepaymentChartInstance = null;
+
+function describePrepayment(p) {
+  const when = parseISODate(p.startDate).toLocaleString('en-IN', { month: 'short', year: 'numeric' });
+  const frequency = { once: `once in ${when}`, monthly: `monthly from ${when}`, yearly: `yearly from ${when}` }[p.frequency];
+  return `${formatMoney(p.amount)} ${frequency}, ${p.strategy === 'emi' ? 'reducing EMI' : 'reducing tenure'}`;
+}
+
+function showPrepaymentSimulator(id, scenario = null) {
+  const loan = store.loans.find(l => l.id === id);
+  if (!loan) return;
+
+  const current = getLoanScheduleSummary(loan);
+  const simulated = scenario ? getLoanScheduleSummary(loan, [scenario]) : null;
+  const nextMonth = new Date();
+  nextMonth.setMonth(nextMonth.getMonth() + 1, 1);
+  const s = scenario || { amount: '', frequency: 'once', startDate: toISODate(nextMonth), strategy: 'tenure' };
+  const closingLabel = summary => formatMonthLabel(getMonthKey(parseISODate(summary.payoffDate)));
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-4xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">${escapeHTML(loan.name)} — Prepayment Simulator</h3>
+      <p class="text-sm text-gray-500 mb-6">Try a prepayment before committing to it. The loan is only changed when you apply the scenario.</p>
+      ${(loan.prepayments || []).length ? `
+        <div class="mb-6 p-3 bg-gray-50 rounded-lg text-sm">
+          <div class="font-medium text-gray-700 mb-2">Applied prepayments</div>
+          ${loan.prepayments.map(p => `
+            <div class="flex justify-between items-center py-1">
+              <span>${describePrepayment(p)}</span>
+              <button onclick="removeLoanPrepayment('${loan.id}', '${p.id}')" class="text-red-600 hover:underline">Remove</button>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      <form id="prepaymentForm" class="space-y-4">
+        <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Amount (${getCurrencySymbol()})</label>
+            <input type="number" name="amount" step="0.01" min="1" value="${s.amount}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Frequency</label>
+            <select name="frequency" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="once" ${s.frequency === 'once' ? 'selected' : ''}>One-time</option>
+              <option value="monthly" ${s.frequency === 'monthly' ? 'selected' : ''}>Every month</option>
+              <option value="yearly" ${s.frequency === 'yearly' ? 'selected' : ''}>Every year</option>
+            </select>
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">From</label>
+            <input type="date" name="startDate" value="${s.startDate}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Use it to</label>
+            <select name="strategy" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+              <option value="tenure" ${s.strategy === 'tenure' ? 'selected' : ''}>Reduce tenure</option>
+              <option value="emi" ${s.strategy === 'emi' ? 'selected' : ''}>Reduce EMI</option>
+            </select>
+          </div>
+        </div>
+        <button type="submit" class="w-full bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Simulate</button>
+      </form>
+      ${simulated ? `
+        <div class="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-green-50 border border-green-200 rounded-xl">
+          <div>
+            <div class="text-xs text-gray-500">Interest Saved</div>
+            <div class="font-bold text-green-700">${formatMoney(current.totalInterest - simulated.totalInterest)}</div>
+          </div>
+          <div>
+            <div class="text-xs text-gray-500">Closing Date</div>
+            <div class="font-semibold text-gray-900">${closingLabel(simulated)}</div>
+            <div class="text-xs text-gray-500">was ${closingLabel(current)}</div>
+          </div>
+          <div>
+            <div class="text-xs text-gray-500">Instalments</div>
+            <div class="font-semibold text-gray-900">${simulated.schedule.length}</div>
+            <div class="text-xs text-gray-500">${current.schedule.length - simulated.schedule.length} fewer</div>
+          </div>
+          <div>
+            <div class="text-xs text-gray-500">${scenario.strategy === 'emi' ? 'EMI After Prepayment' : 'EMI'}</div>
+            <div class="font-semibold text-gray-900">${formatMoney(scenario.strategy === 'emi' ? simulated.finalEMI : simulated.emi)}</div>
+            <div class="text-xs text-gray-500">was ${formatMoney(current.emi)}</div>
+          </div>
+        </div>
+        <div class="mt-6 h-72">
+          <canvas id="prepaymentChart"></canvas>
+        </div>
+      ` : ''}
+      <div class="flex gap-3 pt-6">
+        ${simulated ? '<button type="button" id="applyPrepaymentBtn" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Apply Scenario to Loan</button>' : ''}
+        <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Close</button>
+      </div>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('prepaymentForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    showPrepaymentSimulator(id, {
+      amount: parseFloat(formData.get('amount')),
+      frequency: formData.get('frequency'),
+      startDate: formData.get('startDate'),
+      strategy: formData.get('strategy')
+    });
+  });
+
+  if (simulated) {
+    renderPrepaymentChart(current.schedule, simulated.schedule);
+    document.getElementById('applyPrepaymentBtn').addEventListener('click', () => {
+      if (!confirm('Save this prepayment plan to the loan?')) return;
+      updateLoan(id, { prepayments: [...(loan.prepayments || []), { ...scenario, id: uuid() }] });
+      hideModal();
+      renderLoansPage();
+    });
+  }
+}
+
+function removeLoanPrepayment(loanId, prepaymentId) {
+  const loan = store.loans.find(l => l.id === loanId);
+  if (!loan || !confirm('Remove this prepayment from the loan?')) return;
+  updateLoan(loanId, { prepayments: loan.prepayments.filter(p => p.id !== prepaymentId) });
+  renderLoansPage();
+  showPrepaymentSimulator(loanId);
+}
+
+function renderPrepaymentChart(currentSchedule, simulatedSchedule) {
+  const ctx = document.getElementById('prepaymentChart');
+  if (!ctx) return;
+
+  if (prepaymentChartInstance) {
+    prepaymentChartInstance.destroy();
+    prepaymentChartInstance = null;
+  }
+
+  const label = row => parseISODate(row.date).toLocaleString('en-IN', { month: 'short', year: '2-digit' });
+
+  prepaymentChartInstance = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: currentSchedule.map(label),
+      datasets: [
+        {
+          label: 'Current schedule',
+          data: currentSchedule.map(row => row.closingBalance),
+          borderColor: 'rgba(239, 68, 68, 1)',
+          backgroundColor: 'rgba(239, 68, 68, 0.1)',
+          pointRadius: 0,
+          borderWidth: 2
+        },
+        {
+          label: 'With prepayment',
+          data: simulatedSchedule.map(row => row.closingBalance),
+          borderColor: 'rgba(16, 185, 129, 1)',
+          backgroundColor: 'rgba(16, 185, 129, 0.1)',
+          pointRadius: 0,
+          borderWidth: 2
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: value => formatMoney(value)
+          }
+        },
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            maxTicksLimit: 12
+          }
+        }
+      },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => `${context.dataset.label}: ${formatMoney(context.parsed.y ?? 0)}`
+          }
+        }
+      }
+    }
+  });
+}
+
+// Shows the EMI that will be used when the EMI field is left blank
+function bindLoanEmiPreview(form) {
+  const hint = form.querySelector('.emi-hint');
+  const field = name => parseFloat(form.querySelector(`[name="${name}"]`).value);
+
+  const update = () => {
+    const emi = calculateEMI(field('principal'), field('interestRate') || 0, field('tenureMonths'));
+    hint.textContent = emi ? `Calculated EMI: ${formatMoney(emi)}` : '';
+  };
+  ['principal', 'interestRate', 'tenureMonths'].forEach(name => {
+    form.querySelector(`[name="${name}"]`).addEventListener('input', update);
+  });
+  update();
+}
+
 function showAddLoanModal() {
   const modal = `
     <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
@@ -1524,17 +6829,37 @@ function showAddLoanModal() {
           <input type="text" name="lender" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., Bank name">
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Amount (₹)</label>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Amount (${getCurrencySymbol()})</label>
           <input type="number" name="principal" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
         </div>
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Interest Rate (%)</label>
           <input type="number" name="interestRate" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
         </div>
+        <div class="grid grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Tenure (months)</label>
+            <input type="number" name="tenureMonths" min="1" step="1" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., 240">
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">EMI Start Date</label>
+            <input type="date" name="startDate" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+        </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Already Paid (₹)</label>
-          <input type="number" name="paidAmount" step="0.01" value="0" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+          <label class="block text-sm font-medium text-gray-700 mb-2">EMI (${getCurrencySymbol()})</label>
+          <input type="number" name="emi" step="0.01" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Leave blank to calculate">
+          <div class="emi-hint text-xs text-gray-500 mt-1"></div>
         </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Repaid Before Tracking (${getCurrencySymbol()})</label>
+          <input type="number" name="principalRepaidBefore" step="0.01" value="0" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
+          <div class="text-xs text-gray-500 mt-1">Payments from now on are counted from expense entries linked to this loan.</div>
+        </div>
+        <label class="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" name="isHomeLoan"  class="rounded border-gray-300 focus:ring-primary-500">
+          Home loan (splits EMIs into 80C principal and 24(b) interest)
+        </label>
         <div class="flex gap-3 pt-4">
           <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Add Loan</button>
           <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
@@ -1544,6 +6869,7 @@ function showAddLoanModal() {
   `;
   
   showModal(modal);
+  bindLoanEmiPreview(document.getElementById('loanForm'));
   
   document.getElementById('loanForm').addEventListener('submit', (e) => {
     e.preventDefault();
@@ -1553,7 +6879,11 @@ function showAddLoanModal() {
       lender: formData.get('lender'),
       principal: parseFloat(formData.get('principal')),
       interestRate: parseFloat(formData.get('interestRate')),
-      paidAmount: parseFloat(formData.get('paidAmount'))
+      tenureMonths: parseInt(formData.get('tenureMonths'), 10) || null,
+      startDate: formData.get('startDate') || null,
+      emi: parseFloat(formData.get('emi')) || null,
+      principalRepaidBefore: parseFloat(formData.get('principalRepaidBefore')) || 0,
+      isHomeLoan: formData.get('isHomeLoan') === 'on'
     };
     addLoan(loan);
     hideModal();
@@ -1571,24 +6901,44 @@ function editLoan(id) {
       <form id="editLoanForm" class="space-y-4">
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Loan Name</label>
-          <input type="text" name="name" value="${loan.name}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <input type="text" name="name" value="${escapeHTML(loan.name)}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Lender</label>
-          <input type="text" name="lender" value="${loan.lender || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <input type="text" name="lender" value="${escapeHTML(loan.lender || '')}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Amount (₹)</label>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Amount (${getCurrencySymbol()})</label>
           <input type="number" name="principal" step="0.01" value="${loan.principal}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Interest Rate (%)</label>
           <input type="number" name="interestRate" step="0.01" value="${loan.interestRate}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
+        <div class="grid grid-cols-2 gap-4">
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Tenure (months)</label>
+            <input type="number" name="tenureMonths" min="1" step="1" value="${loan.tenureMonths || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+          <div class="field">
+            <label class="block text-sm font-medium text-gray-700 mb-2">EMI Start Date</label>
+            <input type="date" name="startDate" value="${loan.startDate || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          </div>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">EMI (${getCurrencySymbol()})</label>
+          <input type="number" name="emi" step="0.01" value="${loan.emi || ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Leave blank to calculate">
+          <div class="emi-hint text-xs text-gray-500 mt-1"></div>
+        </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Already Paid (₹)</label>
-          <input type="number" name="paidAmount" step="0.01" value="${loan.paidAmount || 0}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Principal Repaid Before Tracking (${getCurrencySymbol()})</label>
+          <input type="number" name="principalRepaidBefore" step="0.01" value="${loan.principalRepaidBefore || 0}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <div class="text-xs text-gray-500 mt-1">Payments from now on are counted from expense entries linked to this loan.</div>
         </div>
+        <label class="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" name="isHomeLoan" ${loan.isHomeLoan ? 'checked' : ''} class="rounded border-gray-300 focus:ring-primary-500">
+          Home loan (splits EMIs into 80C principal and 24(b) interest)
+        </label>
         <div class="flex gap-3 pt-4">
           <button type="submit" class="flex-1 bg-primary-600 hover:bg-primary-700 text-white px-6 py-3 rounded-lg font-medium transition-colors">Update Loan</button>
           <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
@@ -1598,6 +6948,7 @@ function editLoan(id) {
   `;
   
   showModal(modal);
+  bindLoanEmiPreview(document.getElementById('editLoanForm'));
   
   document.getElementById('editLoanForm').addEventListener('submit', (e) => {
     e.preventDefault();
@@ -1607,7 +6958,11 @@ function editLoan(id) {
       lender: formData.get('lender'),
       principal: parseFloat(formData.get('principal')),
       interestRate: parseFloat(formData.get('interestRate')),
-      paidAmount: parseFloat(formData.get('paidAmount'))
+      tenureMonths: parseInt(formData.get('tenureMonths'), 10) || null,
+      startDate: formData.get('startDate') || null,
+      emi: parseFloat(formData.get('emi')) || null,
+      principalRepaidBefore: parseFloat(formData.get('principalRepaidBefore')) || 0,
+      isHomeLoan: formData.get('isHomeLoan') === 'on'
     };
     updateLoan(id, updates);
     hideModal();
@@ -1616,7 +6971,7 @@ function editLoan(id) {
 }
 
 function confirmDeleteLoan(id) {
-  if (confirm('Are you sure you want to delete this loan?')) {
+  if (confirm('Are you sure you want to delete this loan? Linked payments are kept as ordinary expenses.')) {
     deleteLoan(id);
     renderLoansPage();
   }
@@ -1634,6 +6989,9 @@ function renderGoalsPage() {
   
   list.innerHTML = goals.map(goal => {
     const progress = getGoalProgress(goal);
+    const contributions = getGoalContributions(goal.id);
+    const saved = contributions.reduce((sum, c) => sum + c.amount, 0);
+    const forecast = getGoalForecast(goal);
     const targetDate = new Date(goal.targetDate);
     const isOverdue = targetDate < new Date();
     
@@ -1641,8 +6999,8 @@ function renderGoalsPage() {
       <div class="p-4 hover:bg-gray-50 transition-colors">
         <div class="flex items-start justify-between mb-3">
           <div class="flex-1">
-            <div class="font-semibold text-gray-900 text-lg">${goal.title}</div>
-            <div class="text-sm text-gray-500 mt-1">${goal.description || 'No description'}</div>
+            <div class="font-semibold text-gray-900 text-lg flex items-center gap-2">${escapeHTML(goal.title)} ${renderGoalStatusBadge(forecast.status)}</div>
+            <div class="text-sm text-gray-500 mt-1">${escapeHTML(goal.description || 'No description')}</div>
           </div>
           <div class="flex gap-1">
             <button onclick="editGoal('${goal.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
@@ -1660,17 +7018,31 @@ function renderGoalsPage() {
         <div class="grid grid-cols-2 gap-4 mb-3">
           <div>
             <div class="text-xs text-gray-500">Target Amount</div>
-            <div class="font-semibold text-gray-900">${formatINR(goal.targetAmount)}</div>
+            <div class="font-semibold text-gray-900">${formatMoney(goal.targetAmount)}</div>
           </div>
           <div>
             <div class="text-xs text-gray-500">Target Date</div>
             <div class="font-semibold ${isOverdue ? 'text-red-600' : 'text-gray-900'}">${targetDate.toLocaleDateString('en-IN')}</div>
           </div>
         </div>
+        ${renderGoalForecastGrid(forecast)}
         <div class="w-full bg-gray-200 rounded-full h-2.5">
           <div class="bg-accent-500 h-2.5 rounded-full transition-all" style="width: ${progress}%"></div>
         </div>
-        <div class="text-xs text-gray-500 mt-1">${progress.toFixed(1)}% completed</div>
+        <div class="text-xs text-gray-500 mt-1">${formatMoney(saved)} saved • ${progress.toFixed(1)}% completed</div>
+        ${contributions.length ? `
+          <details class="mt-3 text-sm">
+            <summary class="cursor-pointer text-primary-700 font-medium">Contributions (${contributions.length})</summary>
+            <div class="mt-2 divide-y divide-gray-100">
+              ${contributions.slice().reverse().map(c => `
+                <div class="flex justify-between py-1.5">
+                  <span class="text-gray-600">${new Date(c.entry.date).toLocaleDateString('en-IN')} • ${escapeHTML(c.entry.description)}</span>
+                  <span class="font-medium text-green-600">${formatMoney(c.amount)}</span>
+                </div>
+              `).join('')}
+            </div>
+          </details>
+        ` : ''}
       </div>
     `;
   }).join('');
@@ -1690,7 +7062,7 @@ function showAddGoalModal() {
           <textarea name="description" rows="2" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Optional description"></textarea>
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Target Amount (₹)</label>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Target Amount (${getCurrencySymbol()})</label>
           <input type="number" name="targetAmount" step="0.01" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="0.00">
         </div>
         <div class="field">
@@ -1732,14 +7104,14 @@ function editGoal(id) {
       <form id="editGoalForm" class="space-y-4">
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Goal Title</label>
-          <input type="text" name="title" value="${goal.title}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+          <input type="text" name="title" value="${escapeHTML(goal.title)}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
         <div class="field">
           <label class="block text-sm font-medium text-gray-700 mb-2">Description</label>
-          <textarea name="description" rows="2" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">${goal.description || ''}</textarea>
+          <textarea name="description" rows="2" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">${escapeHTML(goal.description || '')}</textarea>
         </div>
         <div class="field">
-          <label class="block text-sm font-medium text-gray-700 mb-2">Target Amount (₹)</label>
+          <label class="block text-sm font-medium text-gray-700 mb-2">Target Amount (${getCurrencySymbol()})</label>
           <input type="number" name="targetAmount" step="0.01" value="${goal.targetAmount}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
         </div>
         <div class="field">
@@ -1772,12 +7144,417 @@ function editGoal(id) {
 }
 
 function confirmDeleteGoal(id) {
-  if (confirm('Are you sure you want to delete this goal?')) {
+  if (confirm('Are you sure you want to delete this goal? Savings allocated to it are kept.')) {
     deleteGoal(id);
     renderGoalsPage();
   }
 }
 
+// ---------- Settings Page ----------
+function renderSettingsPage() {
+  renderCurrencySettings();
+  renderExchangeRates();
+  renderCategoryRules();
+  renderTaxMappings();
+  renderTrash();
+}
+
+function renderTrash() {
+  const list = document.getElementById('trashList');
+  if (!list) return;
+  const items = [...store.trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  document.getElementById('emptyTrashBtn')?.classList.toggle('hidden', items.length === 0);
+
+  if (items.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">Nothing deleted in the last 30 days.</div>';
+    return;
+  }
+
+  list.innerHTML = items.map(t => {
+    const daysLeft = Math.max(Math.ceil((getTrashExpiry(t) - new Date()) / 86400000), 0);
+    return `
+      <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+        <div class="flex-1">
+          <div class="font-medium text-gray-900">${escapeHTML(describeRecord(t.item))}</div>
+          <div class="text-sm text-gray-500">
+            ${TRASH_KINDS[t.kind]}${t.kind === 'entry' ? ` • ${formatEntryAmount(t.item)}` : ''} • Deleted ${new Date(t.deletedAt).toLocaleDateString('en-IN')} • ${daysLeft} day${daysLeft === 1 ? '' : 's'} left
+          </div>
+        </div>
+        <div class="flex gap-1">
+          <button onclick="restoreTrashItem('${t.id}')" class="px-3 py-1.5 text-sm font-medium text-primary-700 hover:bg-primary-50 rounded">Restore</button>
+          <button onclick="confirmDeleteFromTrash('${t.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded" aria-label="Delete forever">
+            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function restoreTrashItem(id) {
+  const trashItem = store.trash.find(t => t.id === id);
+  if (trashItem && !restoreFromTrash(id)) {
+    alert(`This ${TRASH_KINDS[trashItem.kind].toLowerCase()} is already in your data, so the deleted copy was discarded.`);
+  }
+  renderTrash();
+}
+
+function confirmDeleteFromTrash(id) {
+  if (confirm('Delete this item forever? This cannot be undone once the session ends.')) {
+    deleteFromTrash(id);
+    renderTrash();
+  }
+}
+
+function confirmEmptyTrash() {
+  if (confirm('Delete everything in Recently Deleted forever?')) {
+    emptyTrash();
+    renderTrash();
+  }
+}
+
+function renderCategoryRules() {
+  const list = document.getElementById('categoryRulesList');
+  if (!list) return;
+  const rules = store.settings.categoryRules;
+
+  if (rules.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No rules yet. Click "Add Rule" to categorise entries automatically.</div>';
+    return;
+  }
+
+  list.innerHTML = rules.map((rule, i) => `
+    <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+      <div class="flex-1">
+        <div class="font-medium text-gray-900">${i + 1}. ${escapeHTML(rule.category)}</div>
+        <div class="text-sm text-gray-500">When ${escapeHTML(describeCategoryRule(rule))}</div>
+      </div>
+      <div class="flex gap-1">
+        <button onclick="moveCategoryRule('${rule.id}', -1); renderCategoryRules()" class="p-2 text-gray-600 hover:bg-gray-100 rounded ${i === 0 ? 'invisible' : ''}" aria-label="Move up">▲</button>
+        <button onclick="moveCategoryRule('${rule.id}', 1); renderCategoryRules()" class="p-2 text-gray-600 hover:bg-gray-100 rounded ${i === rules.length - 1 ? 'invisible' : ''}" aria-label="Move down">▼</button>
+        <button onclick="showCategoryRuleModal('${rule.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+          </svg>
+        </button>
+        <button onclick="confirmDeleteCategoryRule('${rule.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function showCategoryRuleModal(id) {
+  const rule = id ? store.settings.categoryRules.find(r => r.id === id) : null;
+  const r = rule || { type: 'any', descriptionContains: '', amountEquals: null, category: '' };
+  const expenseCategories = store.settings.expenseCategories;
+  const incomeCategories = ['Salary', 'Others'];
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-6">${rule ? 'Edit' : 'Add'} Rule</h3>
+      <form id="categoryRuleForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Description contains</label>
+          <input type="text" name="descriptionContains" value="${escapeHTML(r.descriptionContains || '')}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., SWIGGY">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Amount equals (optional)</label>
+          <input type="number" name="amountEquals" step="0.01" value="${r.amountEquals ?? ''}" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="Any amount">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Applies to</label>
+          <select name="type" class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            <option value="any" ${r.type === 'any' ? 'selected' : ''}>Any entry</option>
+            <option value="expense" ${r.type === 'expense' ? 'selected' : ''}>Expenses</option>
+            <option value="income" ${r.type === 'income' ? 'selected' : ''}>Income</option>
+          </select>
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Set category to</label>
+          <select name="category" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+            <optgroup label="Expense">
+              ${expenseCategories.map(c => `<option value="${escapeHTML(c)}" ${r.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Income">
+              ${incomeCategories.map(c => `<option value="${escapeHTML(c)}" ${r.category === c ? 'selected' : ''}>${escapeHTML(c)}</option>`).join('')}
+            </optgroup>
+          </select>
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 ${rule ? 'bg-primary-600 hover:bg-primary-700' : 'bg-accent-500 hover:bg-accent-600'} text-white px-6 py-3 rounded-lg font-medium transition-colors">${rule ? 'Update' : 'Add'} Rule</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('categoryRuleForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const amount = formData.get('amountEquals');
+    const data = {
+      descriptionContains: formData.get('descriptionContains').trim(),
+      amountEquals: amount === '' ? null : parseFloat(amount),
+      type: formData.get('type'),
+      category: formData.get('category')
+    };
+
+    if (!data.descriptionContains && data.amountEquals === null) {
+      alert('Add a description or amount condition for this rule.');
+      return;
+    }
+
+    if (rule) {
+      updateCategoryRule(id, data);
+    } else {
+      addCategoryRule(data);
+    }
+    hideModal();
+    renderCategoryRules();
+  });
+}
+
+function confirmDeleteCategoryRule(id) {
+  if (confirm('Are you sure you want to delete this rule?')) {
+    deleteCategoryRule(id);
+    renderCategoryRules();
+  }
+}
+
+function rerunCategoryRules() {
+  const changes = getRuleRecategorisations();
+  if (changes.length === 0) {
+    alert('All entries already match your rules.');
+    return;
+  }
+  if (!confirm(`Re-categorise ${changes.length} existing ${changes.length === 1 ? 'entry' : 'entries'} using your rules?`)) return;
+
+  changes.forEach(({ entry, rule }) => updateEntry(entry.id, { category: rule.category }));
+  showPage(activePage);
+  alert(`Updated ${changes.length} ${changes.length === 1 ? 'entry' : 'entries'}.`);
+}
+
+function renderTaxMappings() {
+  const list = document.getElementById('taxMappingsList');
+  if (!list) return;
+  const mapped = Object.entries(store.settings.taxMappings || {}).filter(([, sections]) => sections.length);
+
+  if (mapped.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No categories are mapped. Tax sections can still be ticked on each entry.</div>';
+    return;
+  }
+
+  list.innerHTML = mapped.map(([category, sections]) => `
+    <div class="flex items-center justify-between p-4">
+      <div class="font-medium text-gray-900">${escapeHTML(category)}</div>
+      <div class="flex gap-2">
+        ${sections.map(code => `<span class="px-2 py-0.5 text-xs font-medium rounded-full bg-primary-100 text-primary-800">${code}</span>`).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+function showTaxMappingsModal() {
+  const mappings = store.settings.taxMappings || {};
+  const categories = [...new Set([...store.settings.expenseCategories, ...store.settings.savingsCategories])];
+  const codes = Object.keys(TAX_SECTIONS);
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-2xl w-full mx-4 shadow-2xl max-h-[90vh] overflow-y-auto">
+      <h3 class="text-2xl font-bold mb-2">Tax Deduction Mappings</h3>
+      <p class="text-sm text-gray-500 mb-6">New entries in a category get these sections ticked. Entries already saved keep their own tags.</p>
+      <form id="taxMappingsForm">
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="text-gray-600">
+              <th class="py-2 text-left font-medium">Category</th>
+              ${codes.map(code => `<th class="py-2 px-2 text-center font-medium" title="${TAX_SECTIONS[code].description}">${code}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100">
+            ${categories.map(category => `
+              <tr>
+                <td class="py-2 text-gray-900">${escapeHTML(category)}</td>
+                ${codes.map(code => `
+                  <td class="py-2 px-2 text-center">
+                    <input type="checkbox" data-tax-category="${escapeHTML(category)}" value="${code}" ${(mappings[category] || []).includes(code) ? 'checked' : ''} class="rounded border-gray-300 focus:ring-primary-500">
+                  </td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="flex gap-3 pt-6">
+          <button type="submit" class="flex-1 bg-accent-500 hover:bg-accent-600 text-white px-6 py-3 rounded-lg font-medium transition-colors">Save Mappings</button>
+          <button type="button" id="resetTaxMappings" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Reset</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+  const form = document.getElementById('taxMappingsForm');
+
+  document.getElementById('resetTaxMappings').addEventListener('click', () => {
+    const defaults = getDefaultTaxMappings();
+    form.querySelectorAll('[data-tax-category]').forEach(input => {
+      input.checked = (defaults[input.dataset.taxCategory] || []).includes(input.value);
+    });
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const updated = {};
+    form.querySelectorAll('[data-tax-category]:checked').forEach(input => {
+      const category = input.dataset.taxCategory;
+      if (!updated[category]) updated[category] = [];
+      updated[category].push(input.value);
+    });
+    setTaxMappings(updated);
+    hideModal();
+    renderTaxMappings();
+  });
+}
+
+function renderCurrencySettings() {
+  const form = document.getElementById('currencySettingsForm');
+  if (!form) return;
+  form.querySelector('[name="baseCurrency"]').value = getBaseCurrency();
+  form.querySelector('[name="currencyLocale"]').value = store.settings.currencyLocale || 'en-IN';
+}
+
+function saveCurrencySettings(form) {
+  const formData = new FormData(form);
+  const baseCurrency = formData.get('baseCurrency').trim().toUpperCase();
+  const currencyLocale = formData.get('currencyLocale').trim();
+
+  if (!isValidCurrencyCode(baseCurrency)) {
+    alert('Enter a three-letter currency code such as INR or USD.');
+    return;
+  }
+  try {
+    new Intl.NumberFormat(currencyLocale);
+  } catch (e) {
+    alert('Enter a valid locale such as en-IN or en-US.');
+    return;
+  }
+
+  if (baseCurrency !== getBaseCurrency()) {
+    const hasForeign = Object.values(store.entries).flat().some(isForeignEntry);
+    if (store.exchangeRates.length > 0 || hasForeign) {
+      alert('Exchange rates and converted entries are relative to the current base currency. Remove them before changing it.');
+      return;
+    }
+    if (!confirm(`Show all existing amounts in ${baseCurrency}? Amounts are relabelled, not converted.`)) return;
+  }
+
+  store.settings.baseCurrency = baseCurrency;
+  store.settings.currencyLocale = currencyLocale;
+  saveStore(store);
+  renderSettingsPage();
+}
+
+function renderExchangeRates() {
+  const list = document.getElementById('exchangeRatesList');
+  if (!list) return;
+  const rates = [...store.exchangeRates].sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+
+  if (rates.length === 0) {
+    list.innerHTML = '<div class="p-6 text-center text-gray-500">No exchange rates yet. Add a rate to record entries in other currencies.</div>';
+    return;
+  }
+
+  list.innerHTML = rates.map(rate => `
+    <div class="flex items-center justify-between p-4 hover:bg-gray-50 transition-colors">
+      <div class="flex-1">
+        <div class="font-medium text-gray-900">1 ${rate.currency} = ${formatMoney(rate.rate)}</div>
+        <div class="text-sm text-gray-500">From ${parseISODate(rate.date).toLocaleDateString('en-IN')}</div>
+      </div>
+      <div class="flex gap-1">
+        <button onclick="showExchangeRateModal('${rate.id}')" class="p-2 text-blue-600 hover:bg-blue-50 rounded">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"/>
+          </svg>
+        </button>
+        <button onclick="confirmDeleteExchangeRate('${rate.id}')" class="p-2 text-red-600 hover:bg-red-50 rounded">
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function showExchangeRateModal(id) {
+  const existing = id ? store.exchangeRates.find(r => r.id === id) : null;
+  const r = existing || { date: toISODate(new Date()), currency: '', rate: '' };
+
+  const modal = `
+    <div class="modal bg-white rounded-xl p-6 max-w-md w-full mx-4 shadow-2xl">
+      <h3 class="text-2xl font-bold mb-6">${existing ? 'Edit' : 'Add'} Exchange Rate</h3>
+      <form id="exchangeRateForm" class="space-y-4">
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Currency</label>
+          <input type="text" name="currency" value="${r.currency}" maxlength="3" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 uppercase" placeholder="e.g., USD">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Rate (${getBaseCurrency()} per 1 unit)</label>
+          <input type="number" name="rate" step="any" min="0" value="${r.rate}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500" placeholder="e.g., 83.25">
+        </div>
+        <div class="field">
+          <label class="block text-sm font-medium text-gray-700 mb-2">Effective From</label>
+          <input type="date" name="date" value="${r.date}" required class="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500">
+        </div>
+        <div class="flex gap-3 pt-4">
+          <button type="submit" class="flex-1 ${existing ? 'bg-primary-600 hover:bg-primary-700' : 'bg-accent-500 hover:bg-accent-600'} text-white px-6 py-3 rounded-lg font-medium transition-colors">${existing ? 'Update' : 'Add'} Rate</button>
+          <button type="button" onclick="hideModal()" class="px-6 py-3 border border-gray-300 rounded-lg hover:bg-gray-50 font-medium transition-colors">Cancel</button>
+        </div>
+      </form>
+    </div>
+  `;
+
+  showModal(modal);
+
+  document.getElementById('exchangeRateForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const currency = formData.get('currency').trim().toUpperCase();
+    const rate = parseFloat(formData.get('rate'));
+
+    if (!isValidCurrencyCode(currency) || currency === getBaseCurrency()) {
+      alert(`Enter a three-letter currency code other than ${getBaseCurrency()}.`);
+      return;
+    }
+    if (!(rate > 0)) {
+      alert('Rate must be greater than zero.');
+      return;
+    }
+
+    if (existing) store.exchangeRates = store.exchangeRates.filter(x => x.id !== id);
+    setExchangeRate(formData.get('date'), currency, rate);
+    revalueForeignEntries();
+    hideModal();
+    renderExchangeRates();
+  });
+}
+
+function confirmDeleteExchangeRate(id) {
+  if (confirm('Are you sure you want to delete this rate? Entries using it will be revalued with the nearest remaining rate.')) {
+    deleteExchangeRate(id);
+    renderExchangeRates();
+  }
+}
+
 // ---------- Sidebar Toggle Function ----------
 function toggleSidebar() {
   const sidebar = document.getElementById('sidebar');
@@ -1820,25 +7597,6 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
   
-  // Chart navigation
-  document.getElementById('chartPrev')?.addEventListener('click', () => {
-    const [y, m] = currentChartStart.split('-').map(Number);
-    const newDate = new Date(y, m - 7);
-    currentChartStart = getMonthKey(newDate);
-    if (homeActiveCategory === 'budget') {
-      renderHomeCategoryContent();
-    }
-  });
-  
-  document.getElementById('chartNext')?.addEventListener('click', () => {
-    const [y, m] = currentChartStart.split('-').map(Number);
-    const newDate = new Date(y, m + 5);
-    currentChartStart = getMonthKey(newDate);
-    if (homeActiveCategory === 'budget') {
-      renderHomeCategoryContent();
-    }
-  });
-  
   // Budget month navigation
   document.getElementById('budgetPrev')?.addEventListener('click', () => {
     const [y, m] = currentBudgetMonth.split('-').map(Number);
@@ -1855,28 +7613,82 @@ document.addEventListener('DOMContentLoaded', () => {
   });
   
   // Add buttons
-  document.getElementById('addEntryBtn')?.addEventListener('click', showAddEntryModal);
+  document.getElementById('addEntryBtn')?.addEventListener('click', () => showAddEntryModal());
   document.getElementById('addSavingsBtn')?.addEventListener('click', showAddSavingsModal);
+  document.getElementById('addAccountBtn')?.addEventListener('click', () => showAccountModal());
+  document.getElementById('transferBtn')?.addEventListener('click', () => showTransferModal());
   document.getElementById('addLoanBtn')?.addEventListener('click', showAddLoanModal);
   document.getElementById('addGoalBtn')?.addEventListener('click', showAddGoalModal);
+  document.getElementById('setLimitsBtn')?.addEventListener('click', showCategoryLimitsModal);
+  document.getElementById('recurringBtn')?.addEventListener('click', showRecurringModal);
+  document.getElementById('addRuleBtn')?.addEventListener('click', () => showCategoryRuleModal());
+  document.getElementById('rerunRulesBtn')?.addEventListener('click', rerunCategoryRules);
+  document.getElementById('addRateBtn')?.addEventListener('click', () => showExchangeRateModal());
+  document.getElementById('currencySettingsForm')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveCurrencySettings(e.target);
+  });
+
+  // Transactions explorer filters
+  const transactionFiltersForm = document.getElementById('transactionFilters');
+  transactionFiltersForm?.addEventListener('input', () => updateTransactionFilters(transactionFiltersForm));
+  transactionFiltersForm?.addEventListener('submit', (e) => e.preventDefault());
+  document.getElementById('resetTransactionFilters')?.addEventListener('click', resetTransactionFilters);
+
+  // Reports
+  const reportControls = document.getElementById('reportControls');
+  reportControls?.addEventListener('change', () => updateReportControls(reportControls));
+  document.getElementById('reportPrev')?.addEventListener('click', () => stepReportPeriod(-1));
+  document.getElementById('reportNext')?.addEventListener('click', () => stepReportPeriod(1));
+  const annualControls = document.getElementById('annualControls');
+  annualControls?.addEventListener('change', () => updateAnnualControls(annualControls));
+  document.getElementById('printAnnualReportBtn')?.addEventListener('click', printAnnualReport);
+  document.getElementById('downloadAnnualReportBtn')?.addEventListener('click', downloadAnnualReport);
+  const taxControls = document.getElementById('taxControls');
+  taxControls?.addEventListener('change', () => {
+    taxState.startYear = Number(taxControls.querySelector('[name="startYear"]').value);
+    renderTaxSummary();
+  });
+  document.getElementById('editTaxMappingsBtn')?.addEventListener('click', showTaxMappingsModal);
+  const forecastControls = document.getElementById('forecastControls');
+  forecastControls?.addEventListener('change', () => updateForecastControls(forecastControls));
+  forecastControls?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    updateForecastControls(forecastControls);
+  });
   
   // Export buttons
   document.getElementById('exportBtn')?.addEventListener('click', exportData);
   document.getElementById('exportBtn2')?.addEventListener('click', exportData);
+  document.getElementById('exportEncryptedBtn')?.addEventListener('click', showEncryptedExportModal);
   document.getElementById('mobileExport')?.addEventListener('click', exportData);
   
   // Import buttons
   document.getElementById('importInput')?.addEventListener('change', (e) => {
     if (e.target.files[0]) {
-      const merge = confirm('Merge with existing data? (Cancel to replace all data)');
-      importData(e.target.files[0], merge);
+      startJsonImport(e.target.files[0]);
+      e.target.value = '';
     }
   });
   
   document.getElementById('importInput2')?.addEventListener('change', (e) => {
     if (e.target.files[0]) {
-      const merge = confirm('Merge with existing data? (Cancel to replace all data)');
-      importData(e.target.files[0], merge);
+      startJsonImport(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+  
+  document.getElementById('csvImportInput')?.addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+      startCsvImport(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+  
+  document.getElementById('ratesImportInput')?.addEventListener('change', (e) => {
+    if (e.target.files[0]) {
+      importExchangeRatesCSV(e.target.files[0]);
+      e.target.value = '';
     }
   });
   
@@ -1890,37 +7702,42 @@ document.addEventListener('DOMContentLoaded', () => {
   // Mobile menu / Sidebar toggle
   document.getElementById('mobileMenuBtn')?.addEventListener('click', toggleSidebar);
   
-  // Initialize home page
-  showPage('home');
-});
+  document.getElementById('emptyTrashBtn')?.addEventListener('click', confirmEmptyTrash);
 
-function loadEntriesForMonth(monthKey) {
-    const data = JSON.parse(localStorage.getItem("hb_budget_v1")) || {};
-    return data.entries?.[monthKey] || [];
-}
+  // Ctrl+Z / Ctrl+Shift+Z, except while typing where the browser's own undo applies
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+    e.preventDefault();
+    if (e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  });
 
+  storeReady.then(ready => {
+    if (!ready) return;
+    // Back-fill any recurring entries that fell due since the last visit
+    generateRecurringEntries();
+    loadHistory();
 
+    // Initialize home page
+    showPage('home');
+  });
+});
 
 function updateHomeOverviewCard() {
-    const now = new Date();
-    const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
-
-    const entries = loadEntriesForMonth(monthKey); // Your existing storage loader
-
-    let income = 0;
-    let expenses = 0;
+    const { income, expense, remaining } = getTotalsForMonth(getMonthKey(new Date()));
 
-    entries.forEach(e => {
-        if (e.type === "income") income += e.amount;
-        else if (e.type === "expense") expenses += e.amount;
-    });
-
-    const remaining = income - expenses;
-
-    // Update UI
-    document.getElementById("overviewIncome").textContent = `₹${income.toLocaleString("en-IN")}`;
-    document.getElementById("overviewExpense").textContent = `₹${expenses.toLocaleString("en-IN")}`;
-    document.getElementById("overviewRemaining").textContent = `₹${remaining.toLocaleString("en-IN")}`;
+    // Update UI (the overview card is optional in the page layout)
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = formatMoney(value);
+    };
+    set("overviewIncome", income);
+    set("overviewExpense", expense);
+    set("overviewRemaining", remaining);
 }
 
 